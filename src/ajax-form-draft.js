@@ -0,0 +1,92 @@
+import { isFunction, isObject, toArray, valueToString } from 'js-common/js-utils'
+import {
+  querySelector,
+  registerEvent,
+  stopDefaultEvent,
+  showElements,
+  hideElements
+} from 'js-common/js-dom-utils'
+
+import { BUTTON_TYPES, getRawValue } from './js-element-value.js'
+
+const DRAFT_CLASS_NAME = 'ajax-form-draft'
+
+export default class AjaxFormDraft {
+
+  static key = 'draft'
+
+  #root
+  #storageKey
+  #delay
+  #excludes
+  #getInputs
+  #onRestore
+  #onPrompt
+  #timer
+  #pending
+
+  constructor({ root, storageKey, delay = 0, exclude = [], getInputs, onRestore, onPrompt }) {
+    this.#root = root
+    this.#storageKey = storageKey
+    this.#delay = Number(delay)
+    this.#excludes = [...BUTTON_TYPES, ...toArray(exclude)]
+    this.#getInputs = getInputs
+    this.#onRestore = onRestore
+    this.#onPrompt = onPrompt
+    this.#pending = false
+
+    const draft = this.load()
+    isObject(draft) && this.#prompt(draft)
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.#storageKey))
+    } catch (_) {
+      return null
+    }
+  }
+
+  save() {
+    if (this.#pending)
+      return
+
+    clearTimeout(this.#timer)
+    this.#timer = setTimeout(() => {
+      const values = this.#getInputs().reduce((acc, el) => {
+        if (!this.#excludes.includes(el.type))
+          acc[el.name] = [...(acc[el.name] ?? []), ...getRawValue(el)]
+        return acc
+      }, {})
+      localStorage.setItem(this.#storageKey, valueToString(values))
+    }, this.#delay)
+  }
+
+  restore(draft = this.load()) {
+    isObject(draft) && isFunction(this.#onRestore) && this.#onRestore(draft)
+  }
+
+  clear() {
+    clearTimeout(this.#timer)
+    localStorage.removeItem(this.#storageKey)
+  }
+
+  #prompt(draft) {
+    const prompts = querySelector(`.${DRAFT_CLASS_NAME}`, this.#root)
+    if (prompts.length === 0) {
+      isFunction(this.#onPrompt) && this.#onPrompt({ draft, restore: () => this.restore(draft), discard: () => this.clear() })
+      return
+    }
+
+    const choose = restore => event => {
+      stopDefaultEvent(event)
+      this.#pending = false
+      hideElements(prompts)
+      restore ? this.restore(draft) : this.clear()
+    }
+    this.#pending = true
+    showElements(prompts)
+    registerEvent(querySelector(`.${DRAFT_CLASS_NAME}-restore`, this.#root), 'click', choose(true))
+    registerEvent(querySelector(`.${DRAFT_CLASS_NAME}-discard`, this.#root), 'click', choose(false))
+  }
+}
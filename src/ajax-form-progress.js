@@ -0,0 +1,101 @@
+import { hasValue, isElement, isNotBlank } from 'js-common/js-utils'
+import { triggerEvent } from 'js-common/js-dom-utils'
+import { createProperty } from 'js-common/js-dsl-factory'
+import { createDatasetHelper } from 'js-common/js-dataset-helper'
+
+import { renderTemplate } from './ajax-form-success-handler.js'
+
+export default class AjaxFormProgress {
+
+  static key = 'template'
+
+  #elements
+  #datasetHelper
+  #events
+  #state
+
+  constructor({ elements = [], prefix, events = {} }) {
+    this.#elements = elements
+    this.#datasetHelper = createDatasetHelper(prefix)
+    this.#events = events
+  }
+
+  start(files = []) {
+    this.#state = { start: Date.now(), files, upload: false, waiting: false }
+  }
+
+  stop() {
+    triggerEvent(this.#elements, this.#events.stop)
+  }
+
+  update(event = {}) {
+    const { lengthComputable, loaded, total } = event
+    const state = this.#state ||= { start: Date.now(), files: [] }
+    const upload = event.upload ?? event.target instanceof XMLHttpRequestUpload
+    if (!lengthComputable || (!upload && state.upload))
+      return
+
+    state.upload ||= upload
+    const elapsed = Math.max(Date.now() - state.start, 1) / 1000
+    const speed = loaded / elapsed
+    const progress = {
+      phase: upload ? 'upload' : 'download',
+      loaded,
+      total,
+      percent: Math.min(Math.round(loaded / total * 100), 100),
+      speed: Math.round(speed),
+      eta: speed > 0 ? Math.ceil((total - loaded) / speed) : undefined,
+      files: (event.files ?? estimateFiles(state.files, loaded)).map(file => ({
+        ...file,
+        percent: file.size > 0 ? Math.round(file.loaded / file.size * 100) : 100
+      }))
+    }
+
+    triggerEvent(this.#elements, this.#events.start, [progress.percent, progress])
+    this.#render(progress)
+    if (upload && loaded >= total && !state.waiting) {
+      state.waiting = true
+      const waiting = { ...progress, phase: 'wait', eta: 0 }
+      triggerEvent(this.#elements, this.#events.wait, [100, waiting])
+      this.#render(waiting)
+    }
+  }
+
+  #render(progress) {
+    const data = {
+      ...progress,
+      loadedText: formatBytes(progress.loaded),
+      totalText: formatBytes(progress.total),
+      speedText: `${formatBytes(progress.speed)}/s`,
+      etaText: hasValue(progress.eta) ? `${progress.eta}s` : '',
+    }
+    this.#elements.forEach(el => {
+      const props = createProperty(this.#datasetHelper.getValue(el, AjaxFormProgress.key))[0] ?? {}
+      const { progress: [template] = [], file: [fileTemplate] = [] } = props
+      if (!isNotBlank(template) && !isNotBlank(fileTemplate))
+        return
+
+      const files = isNotBlank(fileTemplate)
+        ? progress.files.map(file => renderTemplate(fileTemplate, { ...file, sizeText: formatBytes(file.size) }))
+        : []
+      el.replaceChildren(...[isNotBlank(template) && renderTemplate(template, data), ...files].filter(isElement))
+    })
+  }
+}
+
+// An estimate: assumes the body carries the files back to back in collect order,
+// ignoring multipart boundaries and the other fields.
+function estimateFiles(files, loaded) {
+  let offset = 0
+  return files.map(({ name, size }) => {
+    const fileLoaded = Math.min(Math.max(loaded - offset, 0), size)
+    offset += size
+    return { name, size, loaded: fileLoaded }
+  })
+}
+
+function formatBytes(bytes = 0) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  const index = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1)
+  return `${Number((bytes / 1024 ** index).toFixed(index > 0 ? 1 : 0))} ${units[index]}`
+}
@@ -0,0 +1,177 @@
+import { hasValue, isFunction, isNotBlank, toArray } from 'js-common/js-utils'
+import { querySelector, registerEvent, stopDefaultEvent } from 'js-common/js-dom-utils'
+import { createDatasetHelper } from 'js-common/js-dataset-helper'
+
+const REPEATER_CLASS_NAME = 'ajax-form-repeater'
+const ROW_CLASS_NAME = `${REPEATER_CLASS_NAME}-row`
+const INDEX_PLACEHOLDER = '{index}'
+
+const ACTIONS = {
+  add: `${REPEATER_CLASS_NAME}-add`,
+  remove: `${REPEATER_CLASS_NAME}-remove`,
+  up: `${REPEATER_CLASS_NAME}-up`,
+  down: `${REPEATER_CLASS_NAME}-down`,
+}
+
+export default class AjaxFormRepeater {
+
+  static key = 'repeater'
+
+  #root
+  #name
+  #min
+  #max
+  #template
+  #attrName
+  #attrNames
+  #defaults
+  #onChange
+
+  constructor({ root, prefix, props = {}, onChange }) {
+    const datasetHelper = createDatasetHelper(prefix)
+    this.#root = root
+    this.#template = querySelector('template', root).find(el => el.parentElement === root)
+    this.#name = toArray(props.name)[0] ?? getName(this.#template)
+    this.#min = Number(toArray(props.min)[0] ?? 0)
+    this.#max = Number(toArray(props.max)[0] ?? Infinity)
+    this.#attrName = datasetHelper.keyToAttrName(AjaxFormRepeater.key)
+    this.#attrNames = ['name', datasetHelper.keyToAttrName('error')]
+    this.#onChange = onChange
+
+    registerEvent(root, 'click', this.#handleEventClick.bind(this))
+    this.resize(Math.max(this.rows().length, this.#min))
+    this.commit()
+  }
+
+  get name() {
+    return this.#name
+  }
+
+  rows() {
+    return querySelector(`.${ROW_CLASS_NAME}`, this.#root).filter(el => this.#closestRepeater(el) === this.#root)
+  }
+
+  add(index = this.rows().length) {
+    const rows = this.rows()
+    if (rows.length >= this.#max || !this.#template)
+      return
+
+    const row = this.#template.content.firstElementChild.cloneNode(true)
+    row.classList.add(ROW_CLASS_NAME)
+    rows[index] ? rows[index].before(row) : this.#insert(row)
+    this.#update()
+    return row
+  }
+
+  remove(row) {
+    if (this.rows().length <= this.#min)
+      return
+
+    row.remove()
+    this.#update()
+  }
+
+  move(row, offset) {
+    const rows = this.rows()
+    const index = rows.indexOf(row) + offset
+    if (index < 0 || index >= rows.length)
+      return
+
+    offset < 0 ? rows[index].before(row) : rows[index].after(row)
+    this.#update()
+  }
+
+  resize(count) {
+    const size = Math.min(Math.max(count, this.#min), this.#max)
+    let rows = this.rows()
+    while (rows.length > size)
+      rows.pop().remove()
+    while (rows.length < size && this.#template)
+      rows.push(this.#insert(this.#template.content.firstElementChild.cloneNode(true)))
+    rows.forEach(row => row.classList.add(ROW_CLASS_NAME))
+    this.#renumber()
+  }
+
+  resizeToNames(names = []) {
+    const pattern = new RegExp(`^${escapeRegExp(this.#name)}\\[(\\d+)\\]`)
+    const indexes = names.map(name => name.match(pattern)?.[1]).filter(hasValue).map(Number)
+    indexes.length > 0 && this.resize(Math.max(...indexes) + 1)
+  }
+
+  commit() {
+    this.#defaults = this.rows().map(row => row.cloneNode(true))
+  }
+
+  reset() {
+    this.rows().forEach(row => row.remove())
+    this.#defaults.forEach(row => this.#insert(row.cloneNode(true)))
+    this.#renumber()
+  }
+
+  #insert(row) {
+    const rows = this.rows()
+    if (rows.length > 0)
+      rows[rows.length - 1].after(row)
+    else
+      this.#template ? this.#template.before(row) : this.#root.append(row)
+    return row
+  }
+
+  #update() {
+    this.#renumber()
+    isFunction(this.#onChange) && this.#onChange(this)
+  }
+
+  #renumber() {
+    const rows = this.rows()
+    const pattern = new RegExp(`^(${escapeRegExp(this.#name)})\\[(?:\\d+|${escapeRegExp(INDEX_PLACEHOLDER)})\\]`)
+    rows.forEach((row, index) => [row, ...querySelector('*', row)].forEach(el => this.#attrNames.forEach(attr => {
+      const value = el.getAttribute(attr)
+      hasValue(value) && el.setAttribute(attr, value.replace(pattern, `$1[${index}]`))
+    })))
+
+    querySelector(`.${ACTIONS.add}`, this.#root)
+      .filter(el => this.#closestRepeater(el) === this.#root)
+      .forEach(el => (el.disabled = rows.length >= this.#max))
+    querySelector(`.${ACTIONS.remove}`, this.#root)
+      .filter(el => this.#closestRepeater(el) === this.#root)
+      .forEach(el => (el.disabled = rows.length <= this.#min))
+  }
+
+  #handleEventClick(event) {
+    const action = Object.keys(ACTIONS).find(key => event.target.closest?.(`.${ACTIONS[key]}`))
+    const button = action && event.target.closest(`.${ACTIONS[action]}`)
+    if (!button || this.#closestRepeater(button) !== this.#root)
+      return
+
+    stopDefaultEvent(event)
+    const row = button.closest(`.${ROW_CLASS_NAME}`)
+    switch (action) {
+      case 'add':
+        this.add(row ? this.rows().indexOf(row) + 1 : undefined)
+        break
+      case 'remove':
+        row && this.remove(row)
+        break
+      case 'up':
+        row && this.move(row, -1)
+        break
+      case 'down':
+        row && this.move(row, 1)
+        break
+    }
+  }
+
+  #closestRepeater(el) {
+    return el.parentElement?.closest(`[${this.#attrName}]`)
+  }
+}
+
+function getName(template) {
+  const name = template?.content.querySelector('[name]')?.getAttribute('name')
+  return isNotBlank(name) ? name.replace(/\[.*$/, '') : ''
+}
+
+function escapeRegExp(value = '') {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
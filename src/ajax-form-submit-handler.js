@@ -4,12 +4,19 @@ import {
   isFunction,
   isNotBlank,
   isPromise,
-  toArray
+  toArray,
+  valueToString
 } from 'js-common/js-utils'
 
+import ResponseCache from './js-response-cache.js'
+import FixtureRouter from './js-fixture-router.js'
+
+const CACHEABLE_TYPES = ['ajax']
+
 let HANDLERS = {
   bypass: { callback: handleBypass, wrapResponse: true },
   mock: { callback: handleMock, wrapResponse: true },
+  fixture: { callback: handleFixture, wrapResponse: false },
 }
 
 export default class AjaxFormSubmitHandler {
@@ -19,16 +26,50 @@ export default class AjaxFormSubmitHandler {
     assert(isFunction(callback), 2, FUNCTION)
     HANDLERS[type] = { callback, wrapResponse }
   }
+  static cache = new ResponseCache()
+  static fixture = new FixtureRouter()
 
   #payload
   #createResponse
+  #checkResponse
 
   constructor(opts = {}) {
     this.#payload = opts
     this.#createResponse = opts.createResponse
+    this.#checkResponse = opts.checkResponse
   }
 
   run(type, opts, input, requestParams) {
+    const { cache } = this.#payload
+    const method = (requestParams?.method || 'POST').toUpperCase()
+    const cacheable = cache?.enable &&
+      CACHEABLE_TYPES.includes(type) &&
+      toArray(cache.method).map(value => value.toUpperCase()).includes(method)
+    if (!cacheable)
+      return this.#run(type, opts, input, requestParams)
+
+    const responseCache = AjaxFormSubmitHandler.cache
+    const url = requestParams?.url
+    const key = responseCache.key(method, url, input)
+    const entry = responseCache.get(key, cache)
+    const load = () => this.#run(type, opts, input, requestParams).then(value => {
+      if (!isFunction(this.#checkResponse) || this.#checkResponse(value))
+        responseCache.set(key, url, value, cache)
+      return value
+    })
+
+    if (entry?.fresh)
+      return Promise.resolve(entry.value)
+    if (entry && isFunction(opts.handleRefresh)) {
+      load()
+        .then(value => valueToString(value) !== valueToString(entry.value) && opts.handleRefresh(value))
+        .catch(error => opts.handleRefreshError?.(error))
+      return Promise.resolve(entry.value)
+    }
+    return load()
+  }
+
+  #run(type, opts, input, requestParams) {
     const handler = HANDLERS[type]
     assert(isFunction(handler?.callback), `Could not find submitHandler "${type}"`)
     const result = handler.callback({ ...this.#payload, ...opts }, input, requestParams)
@@ -54,3 +95,7 @@ function handleMock(opts, input) {
     page: { size, number, totalElements, totalPages }
   }
 }
+
+function handleFixture(opts, input, requestParams) {
+  return AjaxFormSubmitHandler.fixture.handle(opts, input, requestParams)
+}
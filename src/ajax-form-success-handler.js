@@ -19,15 +19,20 @@ import {
   addBasePath
 } from 'js-common/js-utils'
 
-import { triggerEvent, getTargets } from 'js-common/js-dom-utils'
+import { triggerEvent, registerEvent, stopDefaultEvent, getTargets } from 'js-common/js-dom-utils'
 import { createDatasetHelper } from 'js-common/js-dataset-helper'
 import { createProperty } from 'js-common/js-dsl-factory'
 
+import { onDisconnect } from './js-dom-observer.js'
+
 const HANDLERS = {}
-const LIFECYCLES = ['before', 'validation', 'request', 'response', 'after', 'error']
+const LIFECYCLES = ['init', 'before', 'validation', 'request', 'response', 'after', 'error']
+const PAGER_TEMPLATE = '<button type="button">{label}</button>'
+const PAGER_LABELS = { first: '«', prev: '‹', next: '›', last: '»' }
+const PAGER_STATES = new WeakMap()
+const HISTORY_ROOTS = new WeakSet()
 
 addHandler('redirect', handleRedirect)
-addHandler('querystring', handleUpdateQueryString)
 addHandler('storage', handleStorage)
 addHandler('display', handleDisplay())
 addHandler('event', handleEvent())
@@ -90,6 +95,98 @@ export function handleEvent(defaultEventName) {
   }
 }
 
+export function handleFill(eventName) {
+  return (data, { target, value: [key] = [] }, { root }) => {
+    const { value, exist } = findObjectValue(data, key)
+    const targets = toArray(target).length > 0 ? getTargets(target, root) : [root]
+    targets.forEach(el => triggerEvent(el, eventName, { data: exist ? value : data.response }))
+  }
+}
+
+export function handlePager(eventName) {
+  return {
+    response: ({ page }, { target, range, sizes }, { root, datasetHelper, pagination }) => {
+      if (!isObject(page))
+        return
+
+      const pageAttrName = datasetHelper.keyToAttrName(pagination.page)
+      const cursorAttrName = datasetHelper.keyToAttrName(pagination.cursor)
+      const sizeAttrName = datasetHelper.keyToAttrName(pagination.size)
+      const items = createPagerItems(page, Number(toArray(range)[0] ?? 5))
+
+      getTargets(target, root).forEach(el => {
+        const { item: [template] = [] } = createProperty(datasetHelper.getValue(el, 'template'))[0] ?? {}
+        const controls = items.map(item => {
+          const control = renderTemplate(template, item, PAGER_TEMPLATE)
+          control?.setAttribute(hasValue(item.page) ? pageAttrName : cursorAttrName, item.page ?? item.cursor ?? '')
+          control?.classList.toggle('active', !!item.active)
+          item.disabled && control?.setAttribute('disabled', '')
+          return control
+        }).filter(isElement)
+
+        if (toArray(sizes).length > 0) {
+          const select = document.createElement('select')
+          select.setAttribute(sizeAttrName, '')
+          toArray(sizes).forEach(size => select.add(new Option(size, size, false, `${size}` === `${page.size}`)))
+          controls.push(select)
+        }
+
+        el.replaceChildren(...controls)
+        if (!PAGER_STATES.has(el)) {
+          registerEvent(el, 'click', event => {
+            const control = event.target.closest?.(`[${pageAttrName}],[${cursorAttrName}]`)
+            if (!control || control.hasAttribute('disabled'))
+              return
+            stopDefaultEvent(event)
+            const { size } = PAGER_STATES.get(el)
+            triggerEvent(root, eventName, {
+              [pagination.page]: control.getAttribute(pageAttrName) ?? undefined,
+              [pagination.cursor]: control.getAttribute(cursorAttrName) ?? undefined,
+              [pagination.size]: size,
+            })
+          })
+          registerEvent(el, 'change', event => {
+            if (event.target.hasAttribute?.(sizeAttrName))
+              triggerEvent(root, eventName, { [pagination.page]: 0, [pagination.size]: event.target.value })
+          })
+        }
+        PAGER_STATES.set(el, page)
+      })
+    }
+  }
+}
+
+export function renderTemplate(selector, data, defaultTemplate) {
+  const source = isNotBlank(selector) ? document.querySelector(selector) : null
+  const template = document.createElement('template')
+  template.innerHTML = formatString(source?.innerHTML ?? defaultTemplate ?? '', data).trim()
+  return template.content.firstElementChild
+}
+
+function createPagerItems(page, range) {
+  if (!hasValue(page.number)) {
+    const previous = page.previous ?? page.prev
+    return [
+      { type: 'prev', label: PAGER_LABELS.prev, cursor: previous, disabled: !hasValue(previous) },
+      { type: 'next', label: PAGER_LABELS.next, cursor: page.next, disabled: !hasValue(page.next) },
+    ]
+  }
+
+  const number = Number(page.number)
+  const total = Math.max(Number(page.totalPages) || 0, 1)
+  const start = Math.max(0, Math.min(number - Math.floor(range / 2), total - range))
+  const end = Math.min(total, start + range)
+  return [
+    { type: 'first', label: PAGER_LABELS.first, page: 0, disabled: number <= 0 },
+    { type: 'prev', label: PAGER_LABELS.prev, page: number - 1, disabled: number <= 0 },
+    ...toArray({ length: end - start }, (_, index) => ({
+      type: 'page', label: start + index + 1, page: start + index, active: start + index === number
+    })),
+    { type: 'next', label: PAGER_LABELS.next, page: number + 1, disabled: number >= total - 1 },
+    { type: 'last', label: PAGER_LABELS.last, page: total - 1, disabled: number >= total - 1 },
+  ]
+}
+
 function handleRedirect({ request, response }, { target, type, param }, { basePath }) {
   let url = target?.[0]
 
@@ -149,7 +246,25 @@ function handleDisplay() {
   }
 }
 
-function handleUpdateQueryString({ request }, { add, remove, value }) {
+export function handleQueryString(eventName) {
+  return {
+    init: (_, { type }, { root }) => {
+      if (type?.[0] !== 'push' || !isElement(root) || HISTORY_ROOTS.has(root))
+        return
+
+      const listener = () => triggerEvent(root, eventName)
+      HISTORY_ROOTS.add(root)
+      globalThis.addEventListener('popstate', listener)
+      onDisconnect(root, () => {
+        HISTORY_ROOTS.delete(root)
+        globalThis.removeEventListener('popstate', listener)
+      })
+    },
+    after: handleUpdateQueryString
+  }
+}
+
+function handleUpdateQueryString({ request }, { add, remove, value, type }, { popstate }) {
   const { host, protocol, pathname } = location
   const includes = new Set([...(add || []), ...(value || [])])
   const excludes = new Set(remove || [])
@@ -178,7 +293,11 @@ function handleUpdateQueryString({ request }, { add, remove, value }) {
     }
   })
 
-  history.replaceState({ path: url.href }, '', url.href)
+  if (type?.[0] === 'push' && !popstate && url.href !== location.href) {
+    history.pushState({ path: url.href }, '', url.href)
+  } else {
+    history.replaceState({ path: url.href }, '', url.href)
+  }
 }
 
 function handleStorage(data, { value }, { root, prefix }) {
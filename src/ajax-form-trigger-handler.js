@@ -1,13 +1,26 @@
 import { STRING_NON_BLANK, FUNCTION } from 'js-common/js-constant'
-import { assert, isFunction, isNotBlank, objectEntries } from 'js-common/js-utils'
+import {
+  assert,
+  hasValue,
+  isFunction,
+  isNotBlank,
+  toArray,
+  objectEntries,
+  findObjectValue
+} from 'js-common/js-utils'
 import { querySelector, registerEvent } from 'js-common/js-dom-utils'
 import { createProperty } from 'js-common/js-dsl-factory'
 import { createDatasetHelper } from 'js-common/js-dataset-helper'
 
+import { onDisconnect } from './js-dom-observer.js'
+
 let HANDLERS = {
   auto: handleAuto,
   click: handleEvent('click'),
   change: handleEvent('change'),
+  input: handleInput,
+  intersect: handleIntersect,
+  poll: handlePoll,
 }
 
 export default class AjaxFormTriggerHandler {
@@ -23,17 +36,19 @@ export default class AjaxFormTriggerHandler {
   #datasetHelper
   #handlerProps
   #submitCallback
+  #context
 
-  constructor({ root, prefix, handlerProps, submitCallback }) {
+  constructor({ root, prefix, handlerProps, submitCallback, context }) {
     this.#root = root
     this.#datasetHelper = createDatasetHelper(prefix)
     this.#handlerProps = this.#datasetHelper.resolveValues(this.#root, AjaxFormTriggerHandler.key, handlerProps)
     this.#submitCallback = submitCallback
+    this.#context = context
   }
 
   apply() {
     for (const [type, props] of objectEntries(this.#handlerProps))
-      HANDLERS[type]?.(this.#root, createProperty(props)?.[0], this.#submitCallback)
+      HANDLERS[type]?.(this.#root, createProperty(props)?.[0], this.#submitCallback, this.#context)
   }
 }
 
@@ -47,3 +62,123 @@ export function handleEvent(eventName) {
 function handleAuto(_, props, callback) {
   callback({ with: props?.with })
 }
+
+function handleInput(_, props, __, { submit } = {}) {
+  if (!(props?.value?.length > 0))
+    return
+
+  const [debounce = 0] = toArray(props.debounce).map(Number)
+  const [throttle = 0] = toArray(props.throttle).map(Number)
+  const [minlength = 0] = toArray(props.minlength).map(Number)
+  let timer
+  let last = 0
+  let controller
+
+  registerEvent(querySelector(props.value), 'input', event => {
+    clearTimeout(timer)
+
+    const length = `${event.target?.value ?? ''}`.length
+    if (length > 0 && length < minlength)
+      return
+
+    timer = setTimeout(() => {
+      last = Date.now()
+      controller?.abort()
+      controller = new AbortController()
+      submit({ with: props.with, signal: controller.signal }).catch(_ => { })
+    }, Math.max(debounce, last + throttle - Date.now()))
+  })
+}
+
+function handleIntersect(_, props, __, { pagination, updatePage, onResponse } = {}) {
+  if (!(props?.value?.length > 0) || !globalThis.IntersectionObserver)
+    return
+
+  const sentinels = querySelector(props.value)
+  let page
+  let loading = false
+
+  const refresh = () => sentinels.forEach(el => {
+    observer.unobserve(el)
+    observer.observe(el)
+  })
+  const observer = new IntersectionObserver(entries => {
+    if (!entries.some(entry => entry.isIntersecting) || loading || !hasValue(page) || isLastPage(page))
+      return
+
+    loading = true
+    updatePage({
+      [pagination.page]: Number(page.number) + 1,
+      [pagination.size]: page.size,
+      with: ['append', ...toArray(props.with)]
+    }).then(() => {
+      loading = false
+      refresh()
+    }, () => (loading = false))
+  }, { rootMargin: toArray(props.margin)[0] ?? '0px' })
+
+  onResponse?.(data => {
+    page = data?.page
+    loading || requestAnimationFrame(refresh)
+  })
+  sentinels.forEach(el => observer.observe(el))
+}
+
+function handlePoll(root, props, _, { submit, isBusy, events = {} } = {}) {
+  const [interval = 0] = toArray(props?.interval ?? props?.value).map(Number)
+  if (!(interval > 0))
+    return
+
+  const [max = Infinity] = toArray(props.max).map(Number)
+  const until = createCondition(toArray(props.until)[0])
+  let count = 0
+  let timer
+  let stopped = false
+
+  const stop = () => {
+    stopped = true
+    clearTimeout(timer)
+  }
+  const schedule = () => {
+    clearTimeout(timer)
+    stopped || (timer = setTimeout(run, interval))
+  }
+  const run = () => {
+    if (stopped || document.hidden)
+      return
+    if (isBusy?.())
+      return schedule()
+
+    count++
+    submit({ with: props.with })
+      .then(data => until(data) || count >= max ? stop() : schedule(), () => count >= max ? stop() : schedule())
+  }
+
+  const handleVisibility = () => {
+    if (!document.hidden && !stopped) {
+      clearTimeout(timer)
+      run()
+    }
+  }
+  document.addEventListener('visibilitychange', handleVisibility)
+  onDisconnect(root, () => {
+    stop()
+    document.removeEventListener('visibilitychange', handleVisibility)
+  })
+  registerEvent(root, events.abort, stop)
+  registerEvent(root, events.stop, stop)
+  schedule()
+}
+
+function createCondition(condition) {
+  if (!isNotBlank(condition))
+    return () => false
+  const callback = globalThis[condition]
+  return isFunction(callback) ? callback : data => !!findObjectValue(data, condition).value
+}
+
+function isLastPage(page) {
+  return page.last === true ||
+    !hasValue(page.number) ||
+    (hasValue(page.totalPages) && Number(page.number) + 1 >= Number(page.totalPages))
+}
@@ -0,0 +1,113 @@
+import { STRING_NON_BLANK, FUNCTION } from 'js-common/js-constant'
+import {
+  assert,
+  hasValue,
+  isArray,
+  isFunction,
+  isNotBlank,
+  isString,
+  toArray,
+  toKebabCase,
+  objectEntries,
+  valueToString
+} from 'js-common/js-utils'
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+
+let HANDLERS = {
+  'equals': handleEquals,
+  'min-count': (_, [min], { value }) => toArray(value).length >= Number(min),
+  'max-count': (_, [max], { value }) => toArray(value).length <= Number(max),
+  'max-size': (_, [max], { value }) => toArray(value).every(file => !(file instanceof Blob) || file.size <= parseSize(max)),
+  'file-type': handleFileType,
+  'after': handleDate((value, target) => value > target),
+  'before': handleDate((value, target) => value < target),
+  'pattern': (_, [pattern], { value }) => toArray(value).every(item => new RegExp(pattern).test(item)),
+  'required-if': handleRequiredIf,
+}
+
+const SKIP_BLANK = ['required-if']
+
+export default class AjaxFormValidationHandler {
+
+  static key = 'rule'
+  static add = (type, callback) => {
+    assert(isNotBlank(type), 1, STRING_NON_BLANK)
+    assert(isFunction(callback), 2, FUNCTION)
+    HANDLERS[type] = callback
+  }
+
+  #getValue
+
+  constructor({ getValue }) {
+    this.#getValue = getValue
+  }
+
+  run(el, props = {}) {
+    const { message, ...rules } = props
+    const raw = this.#getValue(el.name)
+
+    return Promise.all(toArray(raw)).then(items => {
+      const value = isArray(raw) ? items : items[0]
+      const context = { value, props, getValue: this.#getValue }
+
+      const results = objectEntries(rules).map(([key, values]) => {
+        const type = toKebabCase(key)
+        const handler = HANDLERS[type]
+        if (!isFunction(handler) || (isBlank(value) && !SKIP_BLANK.includes(type)))
+          return Promise.resolve()
+
+        return Promise.resolve()
+          .then(() => handler(el, toArray(values), context))
+          .then(result => {
+            if (isString(result) && isNotBlank(result))
+              return { type, message: result }
+            if (result === false)
+              return { type, message: toArray(message)[0] ?? type }
+          })
+      })
+      return Promise.all(results)
+    }).then(errors => errors.filter(hasValue))
+  }
+}
+
+function handleEquals(_, [name], { value, getValue }) {
+  return valueToString(value) === valueToString(getValue(name))
+}
+
+function handleFileType(_, accepts, { value }) {
+  const patterns = accepts.flatMap(accept => accept.split(',')).map(accept => accept.trim().toLowerCase())
+  return toArray(value).every(file => {
+    if (!(file instanceof File))
+      return true
+    const type = file.type.toLowerCase()
+    const name = file.name.toLowerCase()
+    return patterns.some(pattern => pattern.startsWith('.')
+      ? name.endsWith(pattern)
+      : pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern)
+  })
+}
+
+function handleDate(compare) {
+  return (_, [name], { value, getValue }) => {
+    const target = name === 'now' ? Date.now() : getValue(name)
+    return !hasValue(target) || toArray(value).every(item => compare(Number(item), Number(target)))
+  }
+}
+
+function handleRequiredIf(_, [name, ...expected], { value, getValue }) {
+  const target = toArray(getValue(name)).map(valueToString)
+  const required = expected.length > 0
+    ? expected.some(item => target.includes(item))
+    : target.some(item => isNotBlank(item) && item !== 'false')
+  return !required || !isBlank(value)
+}
+
+function isBlank(value) {
+  return !hasValue(value) || value === '' || (isArray(value) && value.length === 0)
+}
+
+function parseSize(size) {
+  const [, number, unit = 'b'] = `${size}`.trim().toLowerCase().match(/^([\d.]+)\s*([kmg]?b)?$/) || []
+  return Number(number) * (SIZE_UNITS[unit] ?? 1)
+}
@@ -0,0 +1,110 @@
+import { hasValue, isFunction } from 'js-common/js-utils'
+import {
+  querySelector,
+  registerEvent,
+  stopDefaultEvent,
+  showElements,
+  hideElements
+} from 'js-common/js-dom-utils'
+import { createDatasetHelper } from 'js-common/js-dataset-helper'
+
+const FORM_CLASS_NAME = 'ajax-form'
+
+export default class AjaxFormWizard {
+
+  static key = 'step'
+
+  #root
+  #attrName
+  #fieldsets
+  #storageKey
+  #index
+  #validate
+  #submit
+  #onChange
+
+  constructor({ root, prefix, fieldsets = false, storageKey, validate, submit, onChange }) {
+    this.#root = root
+    this.#attrName = createDatasetHelper(prefix).keyToAttrName(AjaxFormWizard.key)
+    this.#fieldsets = fieldsets
+    this.#storageKey = storageKey
+    this.#validate = validate
+    this.#submit = submit
+    this.#onChange = onChange
+
+    const steps = this.steps()
+    if (steps.length === 0)
+      return
+
+    const saved = Number.parseInt(sessionStorage.getItem(this.#storageKey))
+    registerEvent(querySelector(`.${FORM_CLASS_NAME}-next`, root), 'click', event => {
+      stopDefaultEvent(event)
+      this.next().catch(_ => { })
+    })
+    registerEvent(querySelector(`.${FORM_CLASS_NAME}-prev`, root), 'click', event => {
+      stopDefaultEvent(event)
+      this.prev()
+    })
+    this.show(saved > 0 && saved < steps.length ? saved : 0)
+  }
+
+  steps() {
+    const steps = querySelector(`[${this.#attrName}]`, this.#root)
+    if (steps.length > 0 || !this.#fieldsets)
+      return steps
+    return querySelector('fieldset', this.#root).filter(el => !el.parentElement.closest('fieldset'))
+  }
+
+  getStep() {
+    const steps = this.steps()
+    const index = this.#index ?? 0
+    return {
+      index,
+      count: steps.length,
+      first: index === 0,
+      last: index >= steps.length - 1,
+      element: steps[index],
+    }
+  }
+
+  isLast() {
+    return !hasValue(this.#index) || this.getStep().last
+  }
+
+  next() {
+    if (this.isLast())
+      return this.#submit()
+
+    const { index, element } = this.getStep()
+    return this.#validate(element).then(() => this.show(index + 1))
+  }
+
+  prev() {
+    const { index } = this.getStep()
+    index > 0 && this.show(index - 1)
+    return Promise.resolve()
+  }
+
+  show(index) {
+    const steps = this.steps()
+    this.#index = index
+    hideElements(steps.filter((_, i) => i !== index))
+    showElements([steps[index]])
+    querySelector(`.${FORM_CLASS_NAME}-prev`, this.#root).forEach(el => (el.disabled = index === 0))
+    sessionStorage.setItem(this.#storageKey, `${index}`)
+    isFunction(this.#onChange) && this.#onChange(this.getStep())
+  }
+
+  reveal(el) {
+    const index = this.steps().findIndex(step => step.contains(el))
+    index >= 0 && index !== this.#index && this.show(index)
+  }
+
+  reset() {
+    hasValue(this.#index) && this.show(0)
+  }
+
+  clear() {
+    sessionStorage.removeItem(this.#storageKey)
+  }
+}
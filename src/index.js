@@ -13,16 +13,21 @@ import {
   hasValue,
   isArray,
   isInteger,
+  isTrue,
   isNotBlank,
   isObject,
   isElement,
+  isPromise,
   endsWith,
   delay,
+  abortable,
   formatString,
   toCamelCase,
   toKebabCase,
   toArray,
-  objectEntries
+  objectKeys,
+  objectEntries,
+  valueToString
 } from 'js-common/js-utils'
 
 import {
@@ -49,14 +54,38 @@ import DOMHelper from 'js-common/js-dom-helper'
 
 import TriggerHandler from './ajax-form-trigger-handler.js'
 import SubmitHandler from './ajax-form-submit-handler.js'
-import SuccessHandler, { handleEvent } from './ajax-form-success-handler.js'
+import SuccessHandler, {
+  handleEvent,
+  handleFill,
+  handlePager,
+  handleQueryString
+} from './ajax-form-success-handler.js'
 import ResetHandler from './ajax-form-reset-handler.js'
+import ValidationHandler from './ajax-form-validation-handler.js'
+import Repeater from './ajax-form-repeater.js'
+import Draft from './ajax-form-draft.js'
+import Wizard from './ajax-form-wizard.js'
+import Progress from './ajax-form-progress.js'
 import requestHelper from './js-request-helper.js'
+import websocketHelper from './js-websocket-helper.js'
+import chunkedUpload from './js-chunked-upload.js'
+import imageHelper from './js-image-helper.js'
 import MiddlewareFactory from './js-middleware-factory.js'
+import OfflineQueue from './js-offline-queue.js'
+import { onDisconnect } from './js-dom-observer.js'
+import { collectFiles, getBackoffDelay } from './js-request-utils.js'
+import {
+  BUTTON_TYPES,
+  getRawValue,
+  setElementValue,
+  resetElementValue,
+  setElementDefault
+} from './js-element-value.js'
 
 const FORM_CLASS_NAME = 'ajax-form'
 const FORM_INIT_CLASS_NAME = `${FORM_CLASS_NAME}-initialized`
 const FORM_APPLY_CLASS_NAME = `${FORM_CLASS_NAME}-apply`
+const FORM_DIRTY_CLASS_NAME = `${FORM_CLASS_NAME}-dirty`
 
 const EVENT_SUBMIT = `submit`
 const EVENT_RESET = `reset`
@@ -66,14 +95,34 @@ const EVENT_LIFECYCLE_REQUEST = `${FORM_CLASS_NAME}:request`
 const EVENT_LIFECYCLE_RESPONSE = `${FORM_CLASS_NAME}:response`
 const EVENT_LIFECYCLE_AFTER = `${FORM_CLASS_NAME}:after`
 const EVENT_LIFECYCLE_ERROR = `${FORM_CLASS_NAME}:error`
+const EVENT_LIFECYCLE_RETRY = `${FORM_CLASS_NAME}:retry`
+const EVENT_REFRESH_ERROR = `${FORM_CLASS_NAME}:refresh-error`
+const EVENT_OFFLINE_QUEUED = `${FORM_CLASS_NAME}:offline-queued`
+const EVENT_OFFLINE_REPLAYED = `${FORM_CLASS_NAME}:offline-replayed`
+const EVENT_OFFLINE_FAILED = `${FORM_CLASS_NAME}:offline-failed`
 const EVENT_ABORT = `${FORM_CLASS_NAME}:abort`
+const EVENT_STOP = `${FORM_CLASS_NAME}:stop`
 const EVENT_APPLY = `${FORM_CLASS_NAME}:apply`
 const EVENT_TRIGGER = `${FORM_CLASS_NAME}:trigger`
 const EVENT_PAGE_UPDATE = `${FORM_CLASS_NAME}:page-update`
+const EVENT_POPSTATE = `${FORM_CLASS_NAME}:popstate`
+const EVENT_FILL = `${FORM_CLASS_NAME}:fill`
+const EVENT_STEP = `${FORM_CLASS_NAME}:step`
+const EVENT_DRAFT = `${FORM_CLASS_NAME}:draft`
+const EVENT_IMAGE_PREVIEW = `${FORM_CLASS_NAME}:image-preview`
+const EVENT_IMAGE_ERROR = `${FORM_CLASS_NAME}:image-error`
 const EVENT_UPLOAD_START = `${FORM_CLASS_NAME}:upload-start`
 const EVENT_UPLOAD_STOP = `${FORM_CLASS_NAME}:upload-stop`
+const EVENT_UPLOAD_WAIT = `${FORM_CLASS_NAME}:upload-wait`
 
 const TRIGGER_CLICKABLE = ['button', 'a']
+const DIRTY_DELAY = 150
+const IMAGE_KEY = 'image'
+const ERROR_TIMEOUT = 'timeout'
+const ERROR_OFFLINE = 'offline'
+const ABORT_REPLACED = 'replaced'
+const RETRY_AFTER_STATUS = [429, 503]
+const STREAMING_TYPES = ['sse', 'websocket']
 
 const UI_CONTROLS = {
   enable: { name: `${FORM_CLASS_NAME}-enable`, enable: true },
@@ -97,9 +146,48 @@ const DEFAULT_CONFIG = {
   prefix: 'af',
   basePath: '/',
   delay: 0,
+  concurrency: 'parallel',
+  offline: false,
+  offlineAttempts: 5,
+  populate: false,
+  confirmLeave: false,
+  draft: false,
+  draftDelay: 1000,
+  draftExclude: ['file', 'password', 'hidden'],
+  changesOnly: false,
+  changesKeep: ['id'],
+  wizard: false,
+  timeout: 0,
+  retry: {
+    attempts: 1,
+    delay: 500,
+    maxDelay: 10000,
+    status: [0, 408, 429, 500, 502, 503, 504],
+    method: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  },
+  cache: {
+    enable: false,
+    ttl: 60000,
+    stale: 0,
+    max: 50,
+    method: ['GET'],
+  },
+  chunk: {
+    url: '',
+    size: 5 * 1024 * 1024,
+    concurrency: 3,
+    getUploadId: res => getResponseBody(res)?.uploadId ?? getResponseBody(res)?.data?.item?.uploadId,
+  },
+  transport: 'xhr',
+  fetchOptions: {
+    credentials: 'same-origin',
+    mode: 'cors',
+    cache: 'default',
+  },
   pagination: {
     page: 'page',
     size: 'size',
+    cursor: 'cursor',
   },
   request: {
     from: {
@@ -109,9 +197,10 @@ const DEFAULT_CONFIG = {
   },
   response: {
     create: value => ({ code: 200, data: { item: value?.data, page: value?.page } }),
-    checkResponse: res => res?.code === 200,
-    getData: res => res?.data?.item,
-    getPage: res => res?.data?.page,
+    checkResponse: res => isFetchResponse(res) ? !isObject(res.body) || res.body.code === 200 : res?.code === 200,
+    getData: res => isFetchResponse(res) && !isObject(res.body) ? res.body : getResponseBody(res)?.data?.item,
+    getPage: res => getResponseBody(res)?.data?.page,
+    getFieldErrors: (error = {}) => error.errors ?? error.fieldErrors,
     getError: (error = {}) => (
       AjaxForm.config.i18n?.code?.[error.code] ||
       AjaxForm.config.i18n?.status?.[error.status] ||
@@ -125,17 +214,28 @@ const DEFAULT_CONFIG = {
 }
 
 SubmitHandler.add('ajax', requestHelper.request)
+SubmitHandler.add('sse', requestHelper.sse)
+SubmitHandler.add('websocket', websocketHelper.send)
+SubmitHandler.add('download', requestHelper.download)
+SubmitHandler.add('chunked-upload', chunkedUpload.upload)
 SuccessHandler.add('apply', handleEvent(EVENT_APPLY))
 SuccessHandler.add('trigger', handleEvent(EVENT_TRIGGER))
 SuccessHandler.add('reset', handleEvent(EVENT_RESET))
+SuccessHandler.add('invalidate', (_, { value }) => SubmitHandler.cache.invalidate(value))
+SuccessHandler.add('pager', handlePager(EVENT_PAGE_UPDATE))
+SuccessHandler.add('fill', handleFill(EVENT_FILL))
+SuccessHandler.add('querystring', handleQueryString(EVENT_POPSTATE))
 
 export default class AjaxForm {
   static config = {}
   static submitHandler = SubmitHandler
   static successHandler = SuccessHandler
   static resetHandler = ResetHandler
+  static validationHandler = ValidationHandler
+  static repeater = Repeater
   static domHelper = DOMHelper
   static middleware = new MiddlewareFactory()
+  static offlineQueue = new OfflineQueue()
   static instance = createInstanceMap(
     el => elementIs(el, 'form') && hasClass(el, FORM_CLASS_NAME) && !hasClass(el, FORM_INIT_CLASS_NAME),
     root => new AjaxForm({ root }))
@@ -153,7 +253,20 @@ export default class AjaxForm {
   #submitHandler
   #successHandler
   #resetHandler
-  #abortController
+  #validationHandler
+  #repeaters
+  #draft
+  #wizard
+  #fieldErrors
+  #baseline
+  #rawBaseline
+  #responseListeners
+  #dirtyTimer
+  #abortControllers
+  #queue
+  #replaying
+  #generation
+  #progress
 
   constructor(opts = {}) {
     this.#root = elementIs(opts.root, 'form') ? opts.root : document.createElement('form')
@@ -163,8 +276,14 @@ export default class AjaxForm {
     const { prefix, basePath } = this.#config.get(['prefix', 'basePath'])
     this.#datasetHelper = createDatasetHelper(prefix)
     this.#domHelper = new DOMHelper({ prefix, basePath })
+    this.#responseListeners = new Set()
     this.#with = { querystring: { data: getQuerystring() } }
     this.#controls = this.#initUIControls(opts.control)
+    this.#progress = new Progress({
+      elements: this.#controls.progress,
+      prefix,
+      events: { start: EVENT_UPLOAD_START, stop: EVENT_UPLOAD_STOP, wait: EVENT_UPLOAD_WAIT }
+    })
     this.#inputs = toArray(opts.input)
     this.#plugins = this.#initPlugins(opts.plugin)
     this.#middlewares = opts.middleware || {}
@@ -173,41 +292,132 @@ export default class AjaxForm {
     this.#successHandler = this.#initSuccessHandler(opts.success)
     this.#resetHandler = new ResetHandler(this.#root)
     this.#resetHandler.add('empty', this.#successHandler.before)
+    this.#validationHandler = new ValidationHandler({ getValue: this.#getInputValue.bind(this) })
+    this.#repeaters = this.#initRepeaters()
+    this.#initImages()
+    this.#fieldErrors = { inputs: new Set(), messages: new Set() }
+    this.#abortControllers = new Set()
+    this.#queue = Promise.resolve()
+    this.#generation = 0
 
     registerEvent(this.#root, EVENT_SUBMIT, event => {
       stopDefaultEvent(event)
-      this.submitSync()
+      this.#wizard.isLast() ? this.submitSync() : this.next().catch(_ => { })
     })
     registerEvent(this.#root, EVENT_APPLY, this.#handleEventApplied.bind(this))
     registerEvent(this.#root, EVENT_TRIGGER, this.#handleEventTriggered.bind(this))
     registerEvent(this.#root, EVENT_PAGE_UPDATE, this.#handleEventPageUpdate.bind(this))
     registerEvent(this.#root, EVENT_RESET, this.#handleEventReset.bind(this))
-    registerEvent(this.#root, EVENT_ABORT, () => this.#abortController?.abort())
-    registerEvent(querySelector(`.${FORM_CLASS_NAME}-abort`, this.#root),
-      'click', () => this.#abortController?.abort())
+    registerEvent(this.#root, EVENT_POPSTATE, this.#handleEventPopstate.bind(this))
+    registerEvent(this.#root, EVENT_FILL, event => {
+      stopDefaultEvent(event)
+      this.fill(event.detail?.data)
+    })
+    registerEvent(this.#root, 'input', this.#handleEventInput.bind(this))
+    registerEvent(this.#root, 'change', this.#handleEventInput.bind(this))
+    const handleBeforeUnload = this.#handleBeforeUnload.bind(this)
+    globalThis.addEventListener('beforeunload', handleBeforeUnload)
+    onDisconnect(this.#root, () => globalThis.removeEventListener('beforeunload', handleBeforeUnload))
+    registerEvent(this.#root, EVENT_ABORT, () => this.#abort())
+    registerEvent(querySelector(`.${FORM_CLASS_NAME}-abort`, this.#root), 'click', () => this.#abort())
+
+    if (this.#isOfflineEnabled()) {
+      const handleOnline = () => this.#replayOffline()
+      globalThis.addEventListener('online', handleOnline)
+      onDisconnect(this.#root, () => globalThis.removeEventListener('online', handleOnline))
+      this.#replayOffline()
+    }
+
+    if (isTrue(this.#config.get('populate').populate))
+      this.#populate(this.#with.querystring.data)
+
+    this.#resetBaseline()
+    this.#draft = this.#initDraft()
+    this.#wizard = this.#initWizard()
 
     addClass(this.#root, FORM_INIT_CLASS_NAME)
+    this.#successHandler.init({}, {})
     this.#triggerHandler.apply()
   }
 
   submit(opts = {}) {
-    const { data, ...options } = { ...opts, ...this.#generateDataAndProps(opts.with) }
-    this.#abortController = new AbortController()
-    options.abort = this.#abortController
+    const { data: formData, ...options } = { ...opts, ...this.#generateDataAndProps(opts.with) }
+    const { changesOnly, changesKeep } = this.#config.get(['changesOnly', 'changesKeep'])
+    const concurrency = options.concurrency ?? this.#config.get('concurrency').concurrency
+    if (concurrency === 'drop' && this.#abortControllers.size > 0)
+      return Promise.resolve()
+    if (concurrency === 'replace') {
+      this.#abort(ABORT_REPLACED)
+      this.#generation++
+    }
+
+    const abort = new AbortController()
+    this.#abortControllers.add(abort)
+    options.signal?.addEventListener('abort', () => abort.abort(ABORT_REPLACED), { once: true })
+    options.abort = abort
+    options.generation = this.#generation
     options.id = crypto?.randomUUID?.();
 
-    return this.#handleBefore(data, options)
+    const run = () => resolveValues(formData)
+      .then(data => {
+        if (!isTrue(changesOnly))
+          return data
+        options.source = data
+        return this.#diff(data, toArray(changesKeep))
+      })
+      .then(request => this.#handleBefore(request, options))
       .then(request => this.#handleValidation(request, options))
       .then(request => this.#handleRequest(request, options))
-      .then(({ request, response }) => this.#handleResponse(request, response, options))
+      .then(({ request, response, streamed }) => streamed
+        ? this.#completeStream(streamed)
+        : this.#handleResponse(request, response, options))
       .then(data => this.#handleAfter(data, options))
       .catch(error => this.#handleError(error, options))
+      .finally(() => this.#abortControllers.delete(abort))
+
+    if (concurrency !== 'queue')
+      return run()
+
+    const result = this.#queue.then(() => {
+      if (!abort.signal.aborted)
+        return run()
+      this.#abortControllers.delete(abort)
+    })
+    this.#queue = result.catch(_ => { })
+    return result
   }
 
   submitSync(opts) {
     this.submit(opts).catch(_ => { })
   }
 
+  isDirty() {
+    return this.#getRawValues() !== this.#rawBaseline
+  }
+
+  getChanges() {
+    return this.#getFormData().then(data => this.#diff(data))
+  }
+
+  getStep() {
+    return this.#wizard.getStep()
+  }
+
+  next() {
+    return this.#wizard.next()
+  }
+
+  prev() {
+    return this.#wizard.prev()
+  }
+
+  fill(data = {}) {
+    this.#populate(data, true).forEach(setElementDefault)
+    this.#repeaters.forEach(repeater => repeater.commit())
+    this.#resetBaseline()
+    this.#updateDirty()
+  }
+
   #initConfig(config = {}) {
     const prefix = AjaxForm.config.prefix || DEFAULT_CONFIG.prefix
     const props = createProperty(this.#root.dataset[`${prefix}Config`])[0]
@@ -248,23 +458,109 @@ export default class AjaxForm {
     return host
   }
 
+  #initRepeaters() {
+    const { prefix } = this.#config.get('prefix')
+    const attrName = this.#datasetHelper.keyToAttrName(Repeater.key)
+    return querySelector(`[${attrName}]`, this.#root).map(el => new Repeater({
+      root: el,
+      prefix,
+      props: this.#datasetToProps(Repeater.key, el),
+      onChange: () => this.#handleEventInput(),
+    }))
+  }
+
+  #initImages() {
+    const attrName = this.#datasetHelper.keyToAttrName(IMAGE_KEY)
+    const urls = new WeakMap()
+    this.#queryFormInput(`input[type="file"][${attrName}]`).forEach(el => registerEvent(el, 'change', () => {
+      const props = this.#datasetToProps(IMAGE_KEY, el)
+      Promise.all(toArray(el.files).map(file => this.#resizeImage(file, props))).then(files => {
+        toArray(urls.get(el)).forEach(url => URL.revokeObjectURL(url))
+        const images = files.filter(file => file.type.startsWith('image/'))
+        const previews = images.map(file => URL.createObjectURL(file))
+        urls.set(el, previews)
+
+        querySelector(props.preview).forEach(target => {
+          target.replaceChildren(...previews.map((src, index) => {
+            const img = document.createElement('img')
+            img.src = src
+            img.alt = images[index].name
+            return img
+          }))
+        })
+        triggerEvent(el, EVENT_IMAGE_PREVIEW, { files, urls: previews })
+      })
+    }))
+  }
+
+  #resizeImage(file, props) {
+    return imageHelper.resize(file, props).catch(error => {
+      this.#plugins.broadcast(EVENT_IMAGE_ERROR, { file, error })
+      return file
+    })
+  }
+
   #initTriggerHandler(handlerProps = {}) {
     assert(isObject(handlerProps), 1, OBJECT)
     return new TriggerHandler({
       root: this.#root,
       handlerProps, ...this.#config.get('prefix'),
       submitCallback: this.submitSync.bind(this),
+      context: {
+        ...this.#config.get('pagination'),
+        submit: opts => this.submit(opts),
+        isBusy: () => this.#abortControllers.size > 0,
+        updatePage: detail => this.#updatePage(detail),
+        onResponse: callback => this.#responseListeners.add(callback),
+        events: { abort: EVENT_ABORT, stop: EVENT_STOP },
+      },
     })
   }
 
   #initSubmitHandler() {
-    const handleProgress = this.#handleProgress.bind(this)
+    const root = this.#root
+    const handleProgress = event => this.#progress.update(event)
+    const handlePush = this.#handlePush.bind(this)
     const {
       prefix,
       basePath,
-      create: createResponse
-    } = this.#config.get(['prefix', 'basePath', 'response.create'])
-    return new SubmitHandler({ prefix, basePath, createResponse, handleProgress })
+      cache: cacheConfig,
+      chunk: chunkConfig,
+      pagination,
+      transport,
+      fetchOptions,
+      create: createResponse,
+      checkResponse
+    } = this.#config.get([
+      'prefix',
+      'basePath',
+      'cache',
+      'chunk',
+      'pagination',
+      'transport',
+      'fetchOptions',
+      'response.create',
+      'response.checkResponse'
+    ])
+    const cache = {
+      ...DEFAULT_CONFIG.cache,
+      ...(isObject(cacheConfig) ? cacheConfig : { enable: isTrue(cacheConfig) })
+    }
+    const chunk = { ...DEFAULT_CONFIG.chunk, ...chunkConfig }
+    return new SubmitHandler({
+      root,
+      prefix,
+      basePath,
+      cache,
+      chunk,
+      pagination,
+      transport,
+      fetchOptions,
+      createResponse,
+      checkResponse,
+      handleProgress,
+      handlePush
+    })
   }
 
   #initSuccessHandler(handlerProps = {}) {
@@ -272,7 +568,7 @@ export default class AjaxForm {
     return new SuccessHandler({
       root: this.#root,
       domHelper: this.#domHelper,
-      handlerProps, ...this.#config.get(['prefix', 'basePath']),
+      handlerProps, ...this.#config.get(['prefix', 'basePath', 'pagination']),
     })
   }
 
@@ -283,6 +579,7 @@ export default class AjaxForm {
       .then(result => {
         const data = { request: result }
         this.#plugins.broadcast(EVENT_LIFECYCLE_BEFORE, data)
+        this.#clearFieldErrors()
         this.#resetUIControls()
         this.#successHandler.before(opts, data)
         return result
@@ -291,8 +588,13 @@ export default class AjaxForm {
 
   #handleValidation(request, opts) {
     const validation = new Set()
+    const inScope = el => !isElement(opts.scope) || opts.scope.contains(el)
     const attrName = this.#datasetHelper.keyToAttrName('validation')
-    const groups = this.#queryFormInput(`[${attrName}][required]`).reduce((acc, input) => {
+    const ruleAttrName = this.#datasetHelper.keyToAttrName(ValidationHandler.key)
+    const ruleInputs = this.#queryFormInput(`[${ruleAttrName}]`).filter(inScope)
+    ruleInputs.forEach(input => input.setCustomValidity(''))
+
+    const groups = this.#queryFormInput(`[${attrName}][required]`).filter(inScope).reduce((acc, input) => {
       input.setCustomValidity('')
       const group = input.getAttribute(attrName)
       acc[group] ||= []
@@ -308,18 +610,30 @@ export default class AjaxForm {
       }
     }
 
-    this.#queryFormInput().forEach(el => {
-      !el.validity.valid && validation.add(el.name)
-      el.disabled = false
-    })
-
-    return this.#getMiddleware('validation', opts)({ request, validation })
+    const rules = ruleInputs.map(input => this.#validationHandler
+      .run(input, this.#datasetToProps(ValidationHandler.key, input))
+      .then(([error]) => {
+        const message = error?.message
+        error && input.setCustomValidity(AjaxForm.config.i18n?.validation?.[message] || message)
+      }))
+
+    let invalid
+    return Promise.all(rules)
+      .finally(() => this.#queryFormInput().forEach(el => {
+        if (inScope(el) && !el.validity.valid) {
+          invalid ||= el
+          validation.add(el.name)
+        }
+        el.disabled = false
+      }))
+      .then(() => this.#getMiddleware('validation', opts)({ request, validation }))
       .then(result => toArray(result?.validation).filter(isNotBlank))
       .then(result => {
         result.forEach(validation.add, validation)
 
         if (validation.size > 0) {
-          this.#root.reportValidity()
+          this.#wizard.reveal(invalid)
+          isElement(opts.scope) ? invalid?.reportValidity() : this.#root.reportValidity()
           this.#plugins.broadcast(EVENT_LIFECYCLE_INVALID)
           showElements(this.#controls.messageValidation)
           throw new Error(ERROR_VALIDATION)
@@ -331,11 +645,12 @@ export default class AjaxForm {
   #handleRequest(request, opts) {
     const type = this.#getParameters('type', opts)[0] || 'ajax'
 
-    // TODO refactor for sse, websocket, download file
     // TODO querystring
+    // Changes-only requests carry a diff, so the action is formatted against the full form data.
+    const url = this.#getParameters('action', opts, opts.url)[0]
     const requestParams = {
-      method: this.#getParameters('method', opts)[0],
-      url: this.#getParameters('action', opts, opts.url)[0],
+      method: this.#getParameters('method', opts, hasValue(opts.source) ? 'PATCH' : undefined)[0],
+      url: hasValue(opts.source) && isNotBlank(url) ? formatString(url, opts.source) : url,
       enctype: this.#getParameters('enctype', opts)[0],
       csrf: this.#config.get('getCsrfToken')['getCsrfToken']?.(),
       headers: opts.header
@@ -351,14 +666,127 @@ export default class AjaxForm {
       .then(result => hasValue(result?.request) ? result.request : request)
       .then(result => {
         const data = { request: result }
+        let streamed
+        const handleMessage = response => this.#handleResponse(result, response, opts, true)
+          .then(output => (streamed = output))
+        // A background refresh must not render over the results of the submit that replaced it.
+        const replaced = () => opts.generation !== this.#generation
+        const handleRefresh = !toArray(opts.with).includes('append')
+          ? response => {
+            if (replaced())
+              return
+            this.#successHandler.before(opts, data)
+            return this.#handleResponse(result, response, opts)
+          }
+          : undefined
+        const handleRefreshError = error => replaced() || this.#plugins.broadcast(EVENT_REFRESH_ERROR, { ...data, error })
         this.#plugins.broadcast(EVENT_LIFECYCLE_REQUEST, data)
         this.#successHandler.request(opts, data)
-        return this.#submitHandler.run(type, opts, result, requestParams)
-          .then(res => ({ ...data, response: res }))
+        this.#progress.start(collectFiles(result))
+        const offline = this.#isOfflineEnabled() && navigator.onLine === false
+        const send = offline
+          ? Promise.reject({ status: 0, message: '' })
+          : this.#runWithRetry(type, { ...opts, handleMessage, handleRefresh, handleRefreshError }, result, requestParams)
+        return send
+          .catch(error => this.#handleOffline(error, type, result, requestParams, opts))
+          .then(res => ({ ...data, response: res, streamed }))
+      })
+  }
+
+  #runWithRetry(type, opts, request, requestParams, attempt = 1) {
+    // Streams stay open and may already have rendered messages, so they are neither timed out nor retried.
+    if (STREAMING_TYPES.includes(type))
+      return this.#submitHandler.run(type, opts, request, requestParams)
+
+    const { retry, timeout } = this.#config.get(['retry', 'timeout'])
+    const policy = { ...DEFAULT_CONFIG.retry, ...(isObject(retry) ? retry : { attempts: retry }) }
+    const method = (requestParams.method || 'POST').toUpperCase()
+    const signal = opts.abort?.signal
+    const abort = new AbortController()
+    const cancel = () => abort.abort(signal.reason)
+    const timer = timeout > 0 && setTimeout(() => abort.abort(ERROR_TIMEOUT), timeout)
+    signal?.addEventListener('abort', cancel, { once: true })
+
+    return this.#submitHandler.run(type, { ...opts, abort }, request, requestParams)
+      .finally(() => {
+        clearTimeout(timer)
+        signal?.removeEventListener('abort', cancel)
+      })
+      .catch(error => {
+        if (abort.signal.reason === ERROR_TIMEOUT)
+          error = { status: 0, code: ERROR_TIMEOUT }
+
+        const retryable = !signal?.aborted &&
+          attempt < Number(policy.attempts) &&
+          toArray(policy.status).map(Number).includes(error?.status) &&
+          toArray(policy.method).map(value => value.toUpperCase()).includes(method)
+        if (!retryable)
+          return Promise.reject(error)
+
+        const wait = getRetryDelay(policy, attempt, error)
+        this.#plugins.broadcast(EVENT_LIFECYCLE_RETRY, {
+          request, error, delay: wait, attempt: attempt + 1, attempts: Number(policy.attempts)
+        })
+        return abortable(() => delay(wait), opts)
+          .then(() => this.#runWithRetry(type, opts, request, requestParams, attempt + 1))
       })
   }
 
-  #handleResponse(request, response, opts) {
+  #handleOffline(error, type, request, requestParams, opts) {
+    const queueable = this.#isOfflineEnabled() &&
+      navigator.onLine === false &&
+      error?.status === 0 &&
+      error?.code !== ERROR_TIMEOUT &&
+      !opts.abort?.signal?.aborted
+    if (!queueable)
+      return Promise.reject(error)
+
+    const { csrf, ...params } = requestParams
+    const item = { form: this.#getStorageKey(), type, request, requestParams: params, time: Date.now(), attempts: 0 }
+    return AjaxForm.offlineQueue.add(item).then(key => {
+      this.#plugins.broadcast(EVENT_OFFLINE_QUEUED, { ...item, key })
+      throw new Error(ERROR_OFFLINE)
+    })
+  }
+
+  #replayOffline() {
+    if (navigator.onLine === false)
+      return Promise.resolve()
+
+    this.#replaying ||= AjaxForm.offlineQueue.list(this.#getStorageKey())
+      .then(items => items.reduce((promise, item) => promise.then(() => this.#replayItem(item)), Promise.resolve()))
+      .catch(error => console.error(error))
+      .finally(() => (this.#replaying = null))
+    return this.#replaying
+  }
+
+  #replayItem(item) {
+    const { key, type, request, requestParams } = item
+    const {
+      checkResponse,
+      getCsrfToken,
+      offlineAttempts
+    } = this.#config.get(['response.checkResponse', 'getCsrfToken', 'offlineAttempts'])
+    const opts = { id: crypto?.randomUUID?.() }
+
+    return this.#submitHandler.run(type, opts, request, { ...requestParams, csrf: getCsrfToken?.() })
+      .then(response => checkResponse(response) ? response : Promise.reject(response))
+      .then(response => {
+        this.#plugins.broadcast(EVENT_OFFLINE_REPLAYED, { ...item, response })
+        return AjaxForm.offlineQueue.delete(key)
+      }, error => {
+        if (navigator.onLine === false)
+          return Promise.reject(error)
+
+        const attempts = (item.attempts ?? 0) + 1
+        if (error?.status === 0 && attempts < Number(offlineAttempts))
+          return AjaxForm.offlineQueue.update({ ...item, attempts })
+        this.#plugins.broadcast(EVENT_OFFLINE_FAILED, { ...item, attempts, error })
+        return AjaxForm.offlineQueue.delete(key)
+      })
+  }
+
+  #handleResponse(request, response, opts, streaming = false) {
     const { getData, getPage, checkResponse } = this.#config.get([
       'response.getData',
       'response.getPage',
@@ -369,21 +797,37 @@ export default class AjaxForm {
       .then(result => hasValue(result?.response) ? result.response : response)
       .then(result => checkResponse(result) ? result : Promise.reject(result))
       .then(result => {
+        opts.abort?.signal?.throwIfAborted()
         const data = {
           request,
           response: getData(result),
           page: getPage(result)
         }
-        this.#plugins.broadcast(EVENT_LIFECYCLE_RESPONSE, data)
-        triggerEvent(this.#controls.progress, EVENT_UPLOAD_STOP)
-        this.#resetUIControls()
+        streaming || this.#completeResponse(data)
         this.#successHandler.response(opts, data)
+        streaming || this.#responseListeners.forEach(callback => callback(data))
         return data
       })
   }
 
+  #completeResponse(data) {
+    this.#plugins.broadcast(EVENT_LIFECYCLE_RESPONSE, data)
+    this.#progress.stop()
+    this.#resetUIControls()
+  }
+
+  #completeStream(data) {
+    this.#completeResponse(data)
+    this.#responseListeners.forEach(callback => callback(data))
+    return data
+  }
+
   #handleAfter(data, opts) {
     return this.#getMiddleware('after', opts)(data).then(_ => {
+      this.#resetBaseline()
+      this.#updateDirty()
+      this.#draft?.clear()
+      this.#wizard.clear()
       this.#plugins.broadcast(EVENT_LIFECYCLE_AFTER, data)
       showElements(this.#controls.messageSuccess)
       this.#successHandler.after(opts, data)
@@ -392,18 +836,23 @@ export default class AjaxForm {
   }
 
   #handleError(error, opts) {
+    if (opts.abort?.signal?.reason === ABORT_REPLACED)
+      return
+
     console.error(error)
     switch (error?.message) {
       case ERROR_VALIDATION:
         return
       case ERROR_CONFIRM:
+      case ERROR_OFFLINE:
         return this.#resetUIControls()
     }
 
     const { getError } = this.#config.get(['response.getError'])
     error = { ...error, message: getError(error) }
+    this.#handleFieldErrors(error)
     this.#plugins.broadcast(EVENT_LIFECYCLE_AFTER, { error })
-    triggerEvent(this.#controls.progress, EVENT_UPLOAD_STOP)
+    this.#progress.stop()
     this.#resetUIControls()
 
     return this.#getMiddleware('error', opts)(error)
@@ -420,13 +869,52 @@ export default class AjaxForm {
       })
   }
 
-  #handleProgress(event = {}) {
-    const { lengthComputable, loaded, total } = event
-    if (!lengthComputable)
+  #handleFieldErrors(error) {
+    const { getFieldErrors } = this.#config.get(['response.getFieldErrors'])
+    const attrName = this.#datasetHelper.keyToAttrName('error')
+    const messageElements = querySelector(`[${attrName}]`, this.#root)
+    let first
+
+    for (const [name, message] of objectEntries(normalizeFieldErrors(getFieldErrors?.(error)))) {
+      const key = normalizeName(name)
+      const inputs = this.#queryFormInput().filter(el => normalizeName(el.name) === key)
+      inputs.forEach(el => {
+        el.setCustomValidity(message)
+        this.#fieldErrors.inputs.add(el)
+      })
+      messageElements.filter(el => normalizeName(el.getAttribute(attrName)) === key).forEach(el => {
+        this.#domHelper.setValueToElement(el, message)
+        this.#fieldErrors.messages.add(el)
+      })
+      first ||= inputs[0]
+    }
+    showElements([...this.#fieldErrors.messages])
+    first?.focus()
+  }
+
+  #clearFieldErrors() {
+    const { inputs, messages } = this.#fieldErrors
+    inputs.forEach(el => el.setCustomValidity(''))
+    messages.forEach(el => this.#domHelper.clearElement(el))
+    hideElements([...messages])
+    inputs.clear()
+    messages.clear()
+  }
+
+  #handlePush(response) {
+    const { getData, getPage, checkResponse } = this.#config.get([
+      'response.getData',
+      'response.getPage',
+      'response.checkResponse',
+    ])
+    if (!checkResponse(response))
       return
 
-    const percent = Number.parseInt(loaded / total * 90)
-    triggerEvent(this.#controls.progress, EVENT_UPLOAD_START, [percent])
+    const opts = {}
+    const data = { request: {}, response: getData(response), page: getPage(response) }
+    this.#plugins.broadcast(EVENT_LIFECYCLE_RESPONSE, data)
+    this.#successHandler.response(opts, data)
+    this.#successHandler.after(opts, data)
   }
 
   #handleEventApplied(event) {
@@ -463,21 +951,177 @@ export default class AjaxForm {
 
   #handleEventPageUpdate(event) {
     stopDefaultEvent(event)
+    this.#updatePage(event.detail).catch(_ => { })
+  }
+
+  #updatePage(detail = {}) {
     const { pagination } = this.#config.get('pagination')
-    const { detail } = event
     this.#with.page = {
       data: {
         [pagination.page]: detail[pagination.page],
         [pagination.size]: detail[pagination.size],
+        [pagination.cursor]: detail[pagination.cursor],
       }
     }
-    this.submitSync({ with: ['page', ...(detail.with ?? [])] })
+    return this.submit({ with: ['page', ...(detail.with ?? [])] })
   }
 
   #handleEventReset(event) {
     this.#plugins.broadcast(EVENT_RESET)
     this.#resetUIControls()
+    this.#repeaters.forEach(repeater => repeater.reset())
     this.#resetHandler.run(this.#datasetToProps('reset'))
+    setTimeout(() => this.#updateDirty())
+    this.#wizard.reset()
+  }
+
+  #handleEventPopstate() {
+    const data = getQuerystring()
+    this.#with.querystring = { data }
+    this.#populate(data)
+    this.#updateDirty()
+    this.submitSync({ with: ['querystring'], popstate: true })
+  }
+
+  #populate(data = {}, partial = false) {
+    const counts = {}
+    const inputs = []
+    this.#repeaters.forEach(repeater => {
+      const { exist, value } = getNestedValue(data, repeater.name)
+      exist && isArray(value) && repeater.resize(value.length)
+    })
+    for (const el of this.#queryFormInput()) {
+      const toProps = this.#datasetToProps('to', el)
+      const toType = toProps.type[0] ?? toProps?.value[0] ?? 'data'
+      if ((!partial && toType !== 'data') || BUTTON_TYPES.includes(el.type))
+        continue
+
+      const { value: name } = endsWith(el.name, '[]')
+      const { exist, value } = getNestedValue(data, name)
+      if (exist) {
+        counts[name] = (counts[name] ?? -1) + 1
+        setElementValue(el, value, counts[name])
+        inputs.push(el)
+      } else if (!partial) {
+        resetElementValue(el)
+        inputs.push(el)
+      }
+    }
+    return inputs
+  }
+
+  #initWizard() {
+    return new Wizard({
+      root: this.#root,
+      prefix: this.#config.get('prefix').prefix,
+      fieldsets: isTrue(this.#config.get('wizard').wizard),
+      storageKey: this.#getStorageKey(Wizard.key),
+      validate: this.#validateStep.bind(this),
+      submit: () => this.submit(),
+      onChange: ({ element, ...detail }) => {
+        this.#plugins.broadcast(EVENT_STEP, detail)
+        triggerEvent(this.#root, EVENT_STEP, { ...detail, element })
+      }
+    })
+  }
+
+  #validateStep(step) {
+    const { validate: [url] = [], method: [method] = [] } = this.#datasetToProps(Wizard.key, step)
+    const { checkResponse, getCsrfToken } = this.#config.get(['response.checkResponse', 'getCsrfToken'])
+    const abort = new AbortController()
+    const opts = { abort, scope: step }
+    this.#abortControllers.add(abort)
+
+    this.#clearFieldErrors()
+    return this.#getFormData()
+      .then(request => this.#handleValidation(request, opts))
+      .then(() => isNotBlank(url) && this.#getFormData(step).then(request => {
+        const requestParams = { method: method ?? 'POST', url, csrf: getCsrfToken?.() }
+        return this.#submitHandler.run('ajax', { abort, handleProgress: undefined }, omitFiles(request), requestParams)
+          .then(response => checkResponse(response) ? response : Promise.reject(response))
+      }))
+      .catch(error => {
+        const handled = error?.message === ERROR_VALIDATION ? undefined : this.#handleError(error, opts)
+        return Promise.resolve(handled).then(() => Promise.reject(error))
+      })
+      .finally(() => this.#abortControllers.delete(abort))
+  }
+
+  #handleEventInput() {
+    clearTimeout(this.#dirtyTimer)
+    this.#dirtyTimer = setTimeout(() => this.#updateDirty(), DIRTY_DELAY)
+    this.#draft?.save()
+  }
+
+  #initDraft() {
+    const { draft, draftDelay, draftExclude } = this.#config.get(['draft', 'draftDelay', 'draftExclude'])
+    if (!isTrue(draft) || !isNotBlank(this.#getFormName()))
+      return
+
+    return new Draft({
+      root: this.#root,
+      storageKey: this.#getStorageKey(Draft.key),
+      delay: draftDelay,
+      exclude: draftExclude,
+      getInputs: () => this.#queryFormInput(),
+      onRestore: this.#restoreDraft.bind(this),
+      onPrompt: detail => {
+        this.#plugins.broadcast(EVENT_DRAFT, detail)
+        triggerEvent(this.#root, EVENT_DRAFT, detail)
+      }
+    })
+  }
+
+  #restoreDraft(draft) {
+    const counts = {}
+    this.#repeaters.forEach(repeater => repeater.resizeToNames(objectKeys(draft)))
+    this.#queryFormInput().forEach(el => {
+      if (!draft.hasOwnProperty(el.name))
+        return
+      counts[el.name] = (counts[el.name] ?? -1) + 1
+      setElementValue(el, draft[el.name], counts[el.name])
+    })
+    this.#updateDirty()
+  }
+
+  #handleBeforeUnload(event) {
+    if (this.#root.isConnected && isTrue(this.#config.get('confirmLeave').confirmLeave) && this.isDirty()) {
+      event.preventDefault()
+      event.returnValue = ''
+    }
+  }
+
+  #updateDirty() {
+    this.#root.classList.toggle(FORM_DIRTY_CLASS_NAME, this.isDirty())
+  }
+
+  #diff(data, keep = []) {
+    return this.#baseline.then(baseline => {
+      const result = {}
+      for (const { keys, value } of diffObject(baseline, data)) {
+        keys.slice(0, -1).reduce((acc, key) => (acc[key] ||= {}), result)[keys[keys.length - 1]] = value ?? null
+      }
+      for (const name of keep) {
+        const { exist, value } = getNestedValue(data, name)
+        exist && setNestedValue(result, name, value)
+      }
+      return result
+    })
+  }
+
+  #resetBaseline() {
+    this.#rawBaseline = this.#getRawValues()
+    this.#baseline = this.#getFormData()
+  }
+
+  #getFormData(scope) {
+    return resolveValues(this.#generateDataAndProps([], scope).data ?? {})
+  }
+
+  #getRawValues() {
+    return valueToString(this.#queryFormInput()
+      .filter(el => !BUTTON_TYPES.includes(el.type))
+      .map(el => [el.name, getRawValue(el)]))
   }
 
   #getParameters(key, opts, defaultValue) {
@@ -517,6 +1161,25 @@ export default class AjaxForm {
     })
   }
 
+  #abort(reason) {
+    this.#abortControllers.forEach(abort => abort.abort(reason))
+  }
+
+  #getStorageKey(key) {
+    const { prefix } = this.#config.get('prefix')
+    return [prefix, this.#getFormName(), key].filter(isNotBlank).join('-')
+  }
+
+  // Named inputs shadow form.id and form.name, so read the attributes.
+  #getFormName() {
+    return this.#root.getAttribute('id') || this.#root.getAttribute('name')
+  }
+
+  // Offline items are shared through storage, so only named forms may queue and replay them.
+  #isOfflineEnabled() {
+    return isTrue(this.#config.get('offline').offline) && isNotBlank(this.#getFormName())
+  }
+
   #resetUIControls() {
     for (const [key, elements] of objectEntries(this.#controls)) {
       const control = UI_CONTROLS[key]
@@ -543,11 +1206,25 @@ export default class AjaxForm {
     }, [])
   }
 
-  #generateDataAndProps(withParams = []) {
+  #getInputValue(name) {
+    const { from } = this.#config.get('request.from')
+    const { value: key } = endsWith(name, '[]')
+    const inputs = this.#queryFormInput().filter(el => el.name === key || el.name === `${key}[]`)
+    if (inputs.length === 1 && inputs[0].name === key)
+      return this.#getElementValue(inputs[0], from)
+
+    const value = inputs.flatMap(el => this.#getElementValue(el, from)).filter(hasValue)
+    return elementIs(inputs[0], HTML_RADIO) ? value[0] : value
+  }
+
+  #generateDataAndProps(withParams = [], scope) {
     const { from } = this.#config.get('request.from')
     const groups = {}
 
     for (const el of this.#queryFormInput()) {
+      if (isElement(scope) && !scope.contains(el))
+        continue
+
       const toProps = this.#datasetToProps('to', el)
       const toType = toProps.type[0] ?? toProps?.value[0] ?? 'data'
       const { exist, value } = endsWith(el.name, '[]')
@@ -601,7 +1278,10 @@ export default class AjaxForm {
       case 'datetime-local':
         return isNotBlank(value) ? new Date(value).getTime() : undefined
       case 'file':
-        return el.multiple ? toArray(files) : files[0]
+        result = toArray(files)
+        if (isNotBlank(this.#datasetHelper.getValue(el, IMAGE_KEY)))
+          result = result.map(file => this.#resizeImage(file, this.#datasetToProps(IMAGE_KEY, el)))
+        return el.multiple ? result : result[0]
       case 'select-multiple':
         return toArray(el.selectedOptions).map(opts => opts.value)
       case HTML_CHECKBOX:
@@ -634,6 +1314,98 @@ function getQuerystring() {
   return data
 }
 
+function getRetryDelay({ delay, maxDelay }, attempt, error) {
+  const retryAfter = RETRY_AFTER_STATUS.includes(error?.status) && error?.headers?.get?.('Retry-After')
+  if (isNotBlank(retryAfter)) {
+    const seconds = Number(retryAfter)
+    return Number.isNaN(seconds) ? Math.max(0, new Date(retryAfter).getTime() - Date.now()) : seconds * 1000
+  }
+  return getBackoffDelay(delay, maxDelay, attempt - 1)
+}
+
+function diffObject(before, after, path = []) {
+  const keys = new Set([...objectKeys(before ?? {}), ...objectKeys(after ?? {})])
+  return [...keys].flatMap(key => {
+    const [previous, current] = [before?.[key], after?.[key]]
+    if (isPlainObject(previous) && isPlainObject(current))
+      return diffObject(previous, current, [...path, key])
+    return isSameValue(previous, current) ? [] : [{ keys: [...path, key], value: current }]
+  })
+}
+
+function isPlainObject(value) {
+  return isObject(value) && !isArray(value) && !(value instanceof Blob) && !(value instanceof Date)
+}
+
+function isSameValue(a, b) {
+  if (isArray(a) && isArray(b))
+    return a.length === b.length && a.every((item, index) => isSameValue(item, b[index]))
+  if (a instanceof Blob || b instanceof Blob)
+    return a === b
+  return a === b || valueToString(a) === valueToString(b)
+}
+
+function normalizeFieldErrors(errors) {
+  const result = {}
+  if (isArray(errors)) {
+    errors.forEach(error => {
+      const name = error?.field ?? error?.name ?? error?.path
+      isNotBlank(name) && (result[name] ||= error.message ?? error.defaultMessage ?? '')
+    })
+  } else if (isObject(errors)) {
+    for (const [name, messages] of objectEntries(errors))
+      result[name] = toArray(messages)[0] ?? ''
+  }
+  return result
+}
+
+function normalizeName(name = '') {
+  return `${name}`.match(/[^.[\]]+/g)?.join('.') ?? ''
+}
+
+function isFetchResponse(res) {
+  return res?.headers instanceof Headers && hasValue(res?.status)
+}
+
+function getResponseBody(res) {
+  return isFetchResponse(res) ? res.body : res
+}
+
+function getNestedValue(obj, name) {
+  if (isObject(obj) && obj.hasOwnProperty(name))
+    return { exist: true, value: obj[name] }
+
+  const keys = name.toString().match(/[^.[\]]+/g) || []
+  let value = obj
+  for (const key of keys) {
+    if (!hasValue(value) || !Object.prototype.hasOwnProperty.call(Object(value), key))
+      return { exist: false }
+    value = value[key]
+  }
+  return { exist: keys.length > 0, value }
+}
+
+function omitFiles(obj) {
+  if (isArray(obj))
+    return obj.filter(item => !(item instanceof Blob)).map(omitFiles)
+  if (isPlainObject(obj))
+    return Object.fromEntries(objectEntries(obj)
+      .filter(([_, value]) => !(value instanceof Blob))
+      .map(([key, value]) => [key, omitFiles(value)]))
+  return obj
+}
+
+function resolveValues(obj) {
+  if (isPromise(obj))
+    return obj
+  if (isArray(obj))
+    return Promise.all(obj.map(resolveValues))
+  if (isPlainObject(obj))
+    return Promise.all(objectEntries(obj).map(([key, value]) => resolveValues(value).then(value => [key, value])))
+      .then(Object.fromEntries)
+  return Promise.resolve(obj)
+}
+
 function setNestedValue(obj, name, value) {
   if (!hasValue(value) || !isObject(obj))
     return
@@ -650,7 +1422,7 @@ function setNestedValue(obj, name, value) {
 }
 
 function deepFilterArrays(obj) {
-  if (obj instanceof File || obj instanceof Blob || obj instanceof Date)
+  if (obj instanceof File || obj instanceof Blob || obj instanceof Date || isPromise(obj))
     return obj
 
   if (isArray(obj)) {
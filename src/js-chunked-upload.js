@@ -0,0 +1,129 @@
+import { assert, hasValue, isArray, isNotBlank, isObject, toArray, objectEntries, valueToString } from 'js-common/js-utils'
+
+import requestHelper from './js-request-helper.js'
+import { collectFiles } from './js-request-utils.js'
+
+export default { upload }
+
+function upload(opts, input, requestParams) {
+  const { chunk = {}, handleProgress } = opts
+  assert(isNotBlank(chunk.url), 'Could not find chunk url for "chunked-upload"')
+
+  const files = collectFiles(input)
+  const total = files.reduce((acc, file) => acc + file.size, 0)
+  const loaded = new Map(files.map(file => [file, new Map()]))
+  const reset = file => loaded.get(file).clear()
+  const track = (file, index, bytes) => {
+    const chunks = loaded.get(file)
+    chunks.set(index, Math.max(chunks.get(index) ?? 0, bytes))
+    const progress = files.map(({ name, size }, i) => ({
+      name,
+      size,
+      loaded: [...loaded.get(files[i]).values()].reduce((acc, value) => acc + value, 0)
+    }))
+    const sum = progress.reduce((acc, { loaded }) => acc + loaded, 0)
+    handleProgress?.({
+      lengthComputable: total > 0, loaded: Math.min(sum, total), total, upload: true, files: progress
+    })
+  }
+
+  const uploads = new Map()
+  return files
+    .reduce((promise, file) => promise
+      .then(() => uploadFile({ ...opts, handleProgress: undefined }, file, requestParams, track, reset))
+      .then(state => uploads.set(file, state)), Promise.resolve())
+    .then(() => requestHelper.request(
+      { ...opts, handleProgress: undefined },
+      replaceFiles(input, file => uploads.get(file).uploadId),
+      requestParams))
+    .then(response => {
+      uploads.forEach(({ key }) => localStorage.removeItem(key))
+      return response
+    })
+}
+
+function uploadFile(opts, file, requestParams, track, reset, resume = true) {
+  const { chunk, prefix } = opts
+  const size = Number(chunk.size)
+  const count = Math.max(1, Math.ceil(file.size / size))
+  const key = [prefix, 'chunk', valueToString([chunk.url, file.name, file.size, file.lastModified])].join('-')
+  const state = { key, uploadId: undefined, done: [], ...(resume ? loadState(key) : {}) }
+  const resumed = hasValue(state.uploadId)
+  const params = { method: 'POST', url: chunk.url, csrf: requestParams.csrf, enctype: 'multipart/form-data' }
+
+  state.done.forEach(index => track(file, index, chunkSize(file, size, index)))
+
+  const send = index => {
+    if (state.stopped || state.done.includes(index))
+      return Promise.resolve()
+
+    const start = index * size
+    const data = {
+      uploadId: state.uploadId,
+      index,
+      total: count,
+      filename: file.name,
+      size: file.size,
+      type: file.type,
+      chunk: file.slice(start, start + size),
+    }
+    const handleProgress = ({ loaded }) => state.stopped || track(file, index, Math.min(loaded, chunkSize(file, size, index)))
+    return requestHelper.request({ ...opts, handleProgress }, filterValues(data), params).then(response => {
+      if (state.stopped)
+        return
+      state.uploadId ??= chunk.getUploadId?.(response)
+      assert(hasValue(state.uploadId), `Could not find uploadId for "${file.name}"`)
+      state.done.push(index)
+      track(file, index, chunkSize(file, size, index))
+      localStorage.setItem(key, valueToString({ uploadId: state.uploadId, done: state.done }))
+    })
+  }
+
+  const indexes = toArray({ length: count }, (_, index) => index)
+  const first = hasValue(state.uploadId) ? Promise.resolve() : send(0)
+  return first
+    .then(() => runPool(indexes, Number(chunk.concurrency) || 1, send))
+    .then(() => state)
+    .catch(error => {
+      state.stopped = true
+      if (!resumed || !(error?.status >= 400 && error?.status < 500))
+        return Promise.reject(error)
+
+      // The server rejected the saved session (e.g. it expired), so start the file over.
+      localStorage.removeItem(key)
+      reset(file)
+      return uploadFile(opts, file, requestParams, track, reset, false)
+    })
+}
+
+function runPool(items, concurrency, task) {
+  let next = 0
+  const worker = () => next < items.length ? task(items[next++]).then(worker) : Promise.resolve()
+  return Promise.all(toArray({ length: Math.min(concurrency, items.length) }, worker))
+}
+
+function chunkSize(file, size, index) {
+  return Math.max(0, Math.min(size, file.size - index * size))
+}
+
+function loadState(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? {}
+  } catch (_) {
+    return {}
+  }
+}
+
+function replaceFiles(value, replace) {
+  if (value instanceof File)
+    return replace(value)
+  if (isArray(value))
+    return value.map(item => replaceFiles(item, replace))
+  if (isObject(value) && !(value instanceof Blob) && !(value instanceof Date))
+    return Object.fromEntries(objectEntries(value).map(([key, item]) => [key, replaceFiles(item, replace)]))
+  return value
+}
+
+function filterValues(obj) {
+  return Object.fromEntries(objectEntries(obj).filter(([_, value]) => hasValue(value)))
+}
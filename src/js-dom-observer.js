@@ -0,0 +1,25 @@
+const CALLBACKS = new Map()
+
+let observer
+
+export function onDisconnect(el, callback) {
+  if (!el?.isConnected)
+    return () => { }
+
+  const callbacks = CALLBACKS.get(el) ?? new Set()
+  callbacks.add(callback)
+  CALLBACKS.set(el, callbacks)
+  observer ||= createObserver()
+  return () => callbacks.delete(callback)
+}
+
+function createObserver() {
+  const result = new MutationObserver(() => CALLBACKS.forEach((callbacks, el) => {
+    if (el.isConnected)
+      return
+    CALLBACKS.delete(el)
+    callbacks.forEach(callback => callback(el))
+  }))
+  result.observe(document, { childList: true, subtree: true })
+  return result
+}
@@ -0,0 +1,82 @@
+import { HTML_CHECKBOX, HTML_RADIO } from 'js-common/js-constant'
+import { hasValue, isArray, toArray } from 'js-common/js-utils'
+
+export const BUTTON_TYPES = ['submit', 'button', 'reset', 'image']
+
+export function getRawValue(el) {
+  switch (el.type) {
+    case HTML_CHECKBOX:
+    case HTML_RADIO:
+      return el.checked ? [el.value] : []
+    case 'select-multiple':
+      return toArray(el.selectedOptions).map(option => option.value)
+    default:
+      return [el.value]
+  }
+}
+
+export function setElementValue(el, value, index = 0) {
+  const values = toArray(value).map(item => hasValue(item) ? `${item}` : '')
+  switch (el.type) {
+    case HTML_CHECKBOX:
+    case HTML_RADIO:
+      el.checked = values.includes(el.value) || (el.value === 'on' && values.includes('true'))
+      break
+    case 'select-multiple':
+      toArray(el.options).forEach(option => (option.selected = values.includes(option.value)))
+      break
+    case 'file':
+      break
+    case 'month':
+    case 'date':
+    case 'datetime-local':
+      el.value = toDateInputValue(el.type, values[isArray(value) ? index : 0])
+      break
+    default:
+      el.value = values[isArray(value) ? index : 0] ?? ''
+  }
+}
+
+export function resetElementValue(el) {
+  switch (el.type) {
+    case HTML_CHECKBOX:
+    case HTML_RADIO:
+      el.checked = el.defaultChecked
+      break
+    case 'select-one':
+    case 'select-multiple':
+      toArray(el.options).forEach(option => (option.selected = option.defaultSelected))
+      break
+    case 'file':
+      break
+    default:
+      el.value = el.defaultValue
+  }
+}
+
+export function setElementDefault(el) {
+  switch (el.type) {
+    case HTML_CHECKBOX:
+    case HTML_RADIO:
+      el.defaultChecked = el.checked
+      break
+    case 'select-one':
+    case 'select-multiple':
+      toArray(el.options).forEach(option => (option.defaultSelected = option.selected))
+      break
+    case 'file':
+      break
+    default:
+      el.defaultValue = el.value
+  }
+}
+
+function toDateInputValue(type, value = '') {
+  if (!/^-?\d+$/.test(value))
+    return value
+
+  const date = new Date(Number(value))
+  if (type === 'datetime-local')
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+  return date.toISOString().slice(0, type === 'month' ? 7 : 10)
+}
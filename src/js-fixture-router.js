@@ -0,0 +1,81 @@
+import { STRING_NON_BLANK } from 'js-common/js-constant'
+import {
+  assert,
+  isArray,
+  isFunction,
+  isNotBlank,
+  isObject,
+  delay,
+  abortable,
+  formatString,
+  toArray
+} from 'js-common/js-utils'
+
+export default class FixtureRouter {
+
+  #routes
+
+  constructor() {
+    this.#routes = []
+  }
+
+  add(method, pattern, response, options = {}) {
+    assert(isNotBlank(method), 1, STRING_NON_BLANK)
+    assert(isNotBlank(pattern), 2, STRING_NON_BLANK)
+    const keys = []
+    const source = pattern.replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{(\w+)\}/g, (_, key) => {
+        keys.push(key)
+        return '([^/]+)'
+      })
+    this.#routes.push({ method: method.toUpperCase(), regex: new RegExp(`^${source}/?$`), keys, response, options })
+    return this
+  }
+
+  clear() {
+    this.#routes = []
+  }
+
+  match(method, url) {
+    const { pathname, searchParams } = new URL(url, location.href)
+    for (const route of this.#routes) {
+      const matches = pathname.match(route.regex)
+      if ((route.method === '*' || route.method === method.toUpperCase()) && matches) {
+        const params = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(matches[index + 1])]))
+        return { route, params, query: Object.fromEntries(searchParams) }
+      }
+    }
+  }
+
+  handle(opts, input = {}, requestParams = {}) {
+    const { createResponse, pagination } = opts
+    const method = requestParams.method || 'POST'
+    const url = formatString(requestParams.url, input)
+    const matched = this.match(method, url)
+    if (!matched)
+      return Promise.reject({ status: 404, message: `Could not find fixture "${method.toUpperCase()} ${url}"` })
+
+    const { route: { response, options }, params, query } = matched
+    const [min = 0, max = min] = toArray(options.delay).map(Number)
+    const wait = min + Math.random() * (max - min)
+
+    return abortable(() => delay(wait), opts)
+      .then(() => isFunction(response) ? response({ method, url, params, query, body: input }) : response)
+      .then(value => {
+        if (Number(options.status) >= 400)
+          return Promise.reject({ ...(isObject(value) ? value : { message: value }), status: Number(options.status) })
+        return createResponse(options.paginate && isArray(value) ? paginate(value, input, pagination) : { data: value })
+      })
+  }
+}
+
+function paginate(items, input, { page = 'page', size = 'size' } = {}) {
+  const number = Number(input[page] ?? 0)
+  const pageSize = Number(input[size] ?? 10)
+  const totalElements = items.length
+  const start = number * pageSize
+  return {
+    data: items.slice(start, start + pageSize),
+    page: { size: pageSize, number, totalElements, totalPages: Math.ceil(totalElements / pageSize) }
+  }
+}
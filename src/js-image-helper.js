@@ -0,0 +1,61 @@
+import { isNotBlank, isTrue, toArray, valueToString } from 'js-common/js-utils'
+
+const FORMATS = { jpeg: 'image/jpeg', jpg: 'image/jpeg', webp: 'image/webp', png: 'image/png' }
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/png': 'png' }
+const RESIZABLE = /^image\/(jpeg|png|webp|bmp|gif)$/i
+const CACHE = new WeakMap()
+
+export default { resize }
+
+function resize(file, props = {}) {
+  if (!(file instanceof File) || !RESIZABLE.test(file.type))
+    return Promise.resolve(file)
+
+  const key = valueToString(props)
+  const results = CACHE.get(file) ?? {}
+  CACHE.set(file, results)
+  results[key] ||= processImage(file, props).catch(error => {
+    delete results[key]
+    return Promise.reject(error)
+  })
+  return results[key]
+}
+
+function processImage(file, props) {
+  const [width = Infinity] = toArray(props.width).map(Number)
+  const [height = Infinity] = toArray(props.height).map(Number)
+  const [format] = toArray(props.format)
+  const [quality] = toArray(props.quality).map(Number)
+  const [orientation = 'true'] = toArray(props.orientation)
+  const type = FORMATS[`${format}`.toLowerCase()] ?? file.type
+
+  return createImageBitmap(file, { imageOrientation: isTrue(orientation) ? 'from-image' : 'none' })
+    .then(bitmap => {
+      const scale = Math.min(1, width / bitmap.width, height / bitmap.height)
+      if (scale === 1 && type === file.type && !isNotBlank(props.quality)) {
+        bitmap.close()
+        return file
+      }
+
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.round(bitmap.width * scale)
+      canvas.height = Math.round(bitmap.height * scale)
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+      bitmap.close()
+
+      return new Promise(resolve => canvas.toBlob(resolve, type, quality))
+        .then(blob => {
+          if (!blob || (scale === 1 && blob.size >= file.size && blob.type === file.type))
+            return file
+          return new File([blob], renameFile(file.name, blob.type), { type: blob.type, lastModified: file.lastModified })
+        })
+    })
+}
+
+function renameFile(name, type) {
+  const extension = EXTENSIONS[type]
+  if (!extension)
+    return name
+  const index = name.lastIndexOf('.')
+  return `${index > 0 ? name.slice(0, index) : name}.${extension}`
+}
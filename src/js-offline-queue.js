@@ -0,0 +1,57 @@
+import { isNotBlank } from 'js-common/js-utils'
+
+const DB_NAME = 'ajax-form'
+const DB_VERSION = 1
+const STORE_NAME = 'submissions'
+
+export default class OfflineQueue {
+
+  #name
+  #database
+
+  constructor(name = DB_NAME) {
+    this.#name = name
+  }
+
+  add(item) {
+    return this.#transaction('readwrite', store => store.add(item))
+  }
+
+  list(form) {
+    return this.#transaction('readonly', store => store.getAll())
+      .then(items => items.filter(item => !isNotBlank(form) || item.form === form))
+  }
+
+  update(item) {
+    return this.#transaction('readwrite', store => store.put(item))
+  }
+
+  delete(key) {
+    return this.#transaction('readwrite', store => store.delete(key))
+  }
+
+  clear(form) {
+    if (isNotBlank(form))
+      return this.list(form).then(items => Promise.all(items.map(({ key }) => this.delete(key))))
+    return this.#transaction('readwrite', store => store.clear())
+  }
+
+  #open() {
+    this.#database ||= new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.#name, DB_VERSION)
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key', autoIncrement: true })
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    return this.#database
+  }
+
+  #transaction(mode, callback) {
+    return this.#open().then(database => new Promise((resolve, reject) => {
+      const request = callback(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }))
+  }
+}
@@ -1,5 +1,8 @@
 import {
+  hasValue,
   isArray,
+  isObject,
+  isString,
   isNotBlank,
   toArray,
   valueToString,
@@ -8,12 +11,187 @@ import {
   formatString
 } from 'js-common/js-utils'
 
+import { parseMessage } from './js-request-utils.js'
+
 const WITH_DATA_METHOD = ['POST', 'PUT', 'PATCH']
+const SSE_EVENT_CLOSE = 'close'
+const REVOKE_DELAY = 10000
 
-export default { request }
+export default { request, sse, download }
 
 function request(opts, input, requestParams) {
-  const { basePath, handleProgress, abort } = opts
+  if (opts.transport === 'fetch')
+    return fetchRequest(opts, input, requestParams)
+
+  const { abort, createResponse } = opts
+  const { method, url, headers, body } = prepare(opts, input, requestParams)
+
+  return new Promise((resolve, reject) => {
+    const xhr = createXhr(opts, method, url, reject)
+    xhr.addEventListener('load', () => {
+      const { status, responseURL, responseText } = xhr
+      if (status >= 200 && status < 300) {
+        if (responseURL && responseURL !== new URL(url, location.href).href) {
+          location.href = responseURL
+          abort?.abort()
+        } else {
+          resolve(isNotBlank(responseText) ? parseMessage(responseText) : createResponse?.())
+        }
+      } else {
+        reject({ headers: getResponseHeaders(xhr), ...createError(status, responseText) })
+      }
+    })
+    sendXhr(xhr, headers, body)
+  })
+}
+
+function fetchRequest(opts, input, requestParams) {
+  const { abort, handleProgress, fetchOptions } = opts
+  const { method, url, headers, body } = prepare(opts, input, requestParams)
+
+  return fetch(url, { ...fetchOptions, method, headers, body, signal: abort?.signal })
+    .then(response => {
+      const { status, headers, redirected } = response
+      if (redirected && response.url !== new URL(url, location.href).href) {
+        location.href = response.url
+        abort?.abort()
+      }
+      return readBody(response, handleProgress).then(body => {
+        if (status >= 200 && status < 300)
+          return { status, headers, body }
+        return Promise.reject({ headers, ...createError(status, isString(body) ? body : valueToString(body)) })
+      })
+    })
+}
+
+function download(opts, input, requestParams) {
+  const { createResponse } = opts
+  const { method, url, headers, body } = prepare(opts, input, requestParams)
+
+  return new Promise((resolve, reject) => {
+    const xhr = createXhr(opts, method, url, reject)
+    xhr.responseType = 'blob'
+    xhr.addEventListener('load', () => {
+      const { status, response } = xhr
+      const type = xhr.getResponseHeader('Content-Type') || response.type
+      const success = status >= 200 && status < 300
+      if (success && !/json/i.test(type)) {
+        const filename = getFilename(xhr.getResponseHeader('Content-Disposition'), url)
+        saveBlob(response, filename)
+        resolve(createResponse?.({ data: { filename, type, size: response.size } }))
+      } else {
+        const headers = getResponseHeaders(xhr)
+        response.text()
+          .then(text => success ? resolve(JSON.parse(text)) : reject({ headers, ...createError(status, text) }))
+          .catch(reject)
+      }
+    })
+    sendXhr(xhr, headers, body)
+  })
+}
+
+function sse(opts, input, requestParams) {
+  const { abort, handleMessage, fetchOptions } = opts
+  const { method, url, headers, body } = prepare(opts, input, requestParams)
+  let close = () => { }
+  let last
+  let queue = Promise.resolve()
+
+  return new Promise((resolve, reject) => {
+    const fail = error => {
+      close()
+      reject(error)
+    }
+    const finish = () => {
+      close()
+      queue.then(() => resolve(last), reject)
+    }
+    const receive = data => {
+      last = parseMessage(data)
+      const message = last
+      queue = queue.then(() => handleMessage?.(message))
+      queue.catch(fail)
+    }
+
+    abort?.signal?.addEventListener('abort', () => fail(new DOMException('Operation aborted', 'AbortError')), { once: true })
+
+    if (method.toUpperCase() === 'GET') {
+      const source = new EventSource(url, { withCredentials: fetchOptions?.credentials === 'include' })
+      close = () => source.close()
+      source.addEventListener('message', event => receive(event.data))
+      source.addEventListener(SSE_EVENT_CLOSE, finish)
+      source.addEventListener('error', () => hasValue(last) ? finish() : fail({ status: 0, message: '' }))
+    } else {
+      const controller = new AbortController()
+      close = () => controller.abort()
+      headers['Accept'] = 'text/event-stream'
+      fetch(url, { ...fetchOptions, method, headers, body, signal: controller.signal })
+        .then(response => response.ok
+          ? readEventStream(response.body, (event, data) => event === SSE_EVENT_CLOSE ? finish() : receive(data))
+          : response.text().then(message => Promise.reject({ status: response.status, headers: response.headers, message })))
+        .then(finish, error => error?.name === 'AbortError' || fail(error))
+    }
+  })
+}
+
+function readBody(response, handleProgress) {
+  const type = response.headers.get('Content-Type') || ''
+  const total = Number(response.headers.get('Content-Length')) || 0
+  const chunks = []
+  let loaded = 0
+
+  const read = reader => reader.read().then(({ done, value }) => {
+    if (done)
+      return
+    chunks.push(value)
+    loaded += value.length
+    handleProgress?.({ lengthComputable: total > 0, loaded, total })
+    return read(reader)
+  })
+
+  return (response.body ? read(response.body.getReader()) : Promise.resolve()).then(() => {
+    const blob = new Blob(chunks, { type })
+    if (blob.size === 0)
+      return null
+    if (/json/i.test(type))
+      return blob.text().then(JSON.parse)
+    if (/^text\//i.test(type))
+      return blob.text()
+    return blob
+  })
+}
+
+function createXhr({ handleProgress, abort }, method, url, reject) {
+  const xhr = new XMLHttpRequest()
+  xhr.open(method, url, true)
+  abort?.signal?.addEventListener('abort', () => xhr.abort(), { once: true })
+  xhr.onabort = () => reject(new DOMException('Operation aborted', 'AbortError'))
+
+  xhr.upload.addEventListener('progress', handleProgress)
+  xhr.addEventListener('progress', handleProgress)
+  xhr.addEventListener('error', () => reject({ status: xhr.status, message: xhr.responseType ? '' : xhr.responseText }))
+  return xhr
+}
+
+function getResponseHeaders(xhr) {
+  const headers = new Headers()
+  xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+    const index = line.indexOf(':')
+    index > 0 && headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim())
+  })
+  return headers
+}
+
+function sendXhr(xhr, headers, body) {
+  for (const [key, value] of objectEntries(headers)) {
+    xhr.setRequestHeader(key, value)
+  }
+
+  xhr.send(body)
+}
+
+function prepare(opts, input, requestParams) {
+  const { basePath } = opts
   const { formData, hasFile } = objectToFormData(input)
   const { method = 'POST', url, csrf, headers = {}, enctype = '' } = requestParams
   const isWithDataMethod = WITH_DATA_METHOD.includes(method.toUpperCase())
@@ -42,37 +220,7 @@ function request(opts, input, requestParams) {
   if (isNotBlank(csrf?.header) && isNotBlank(csrf?.token))
     headers[csrf.header] = csrf.token
 
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest()
-    xhr.open(method, processedUrl, true)
-    abort?.signal?.addEventListener('abort', () => xhr.abort(), { once: true })
-    xhr.onabort = () => reject(new DOMException('Operation aborted', 'AbortError'))
-
-    xhr.upload.addEventListener('progress', handleProgress)
-    xhr.addEventListener('progress', handleProgress)
-    xhr.addEventListener('error', () => reject(({ status, responseText: message } = xhr)))
-    xhr.addEventListener('load', () => {
-      const { status, responseURL, responseText } = xhr
-      if (status >= 200 && status < 300) {
-        if (responseURL && responseURL !== new URL(processedUrl, location.href).href) {
-          location.href = responseURL
-          abort?.abort()
-        } else {
-          resolve(JSON.parse(xhr.responseText))
-        }
-      } else {
-        reject({ status, message: responseText })
-      }
-    })
-
-
-
-    for (const [key, value] of objectEntries(headers)) {
-      xhr.setRequestHeader(key, value)
-    }
-
-    xhr.send(body)
-  })
+  return { method, url: processedUrl, headers, body }
 }
 
 function objectToFormData(obj) {
@@ -99,3 +247,59 @@ function objectToFormData(obj) {
     formData, hasFile
   }
 }
+
+function readEventStream(stream, callback) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  const read = () => reader.read().then(({ done, value }) => {
+    buffer += decoder.decode(value, { stream: !done })
+    const blocks = buffer.split(/\r?\n\r?\n/)
+    buffer = done ? '' : blocks.pop()
+    blocks.forEach(block => parseEventBlock(block, callback))
+    return done || read()
+  })
+  return read()
+}
+
+function parseEventBlock(block, callback) {
+  let event = 'message'
+  const data = []
+  block.split(/\r?\n/).forEach(line => {
+    const index = line.indexOf(':')
+    if (index === 0)
+      return
+    const field = index < 0 ? line : line.slice(0, index)
+    const value = index < 0 ? '' : line.slice(index + 1).replace(/^ /, '')
+    field === 'event' && (event = value)
+    field === 'data' && data.push(value)
+  })
+  if (data.length > 0 || event !== 'message')
+    callback(event, data.join('\n'))
+}
+
+function createError(status, text) {
+  const body = parseMessage(text)
+  return isObject(body) ? { ...body, status } : { status, message: text }
+}
+
+function getFilename(disposition = '', url) {
+  const encoded = disposition?.match(/filename\*\s*=\s*(?:[\w-]+'[\w-]*')?"?([^";]+)"?/i)?.[1]
+  if (isNotBlank(encoded))
+    return decodeURIComponent(encoded)
+  const plain = disposition?.match(/filename\s*=\s*"?([^";]+)"?/i)?.[1]
+  if (isNotBlank(plain))
+    return plain
+  return decodeURIComponent(new URL(url, location.href).pathname.split('/').pop()) || 'download'
+}
+
+function saveBlob(blob, filename) {
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = filename
+  document.body.append(link)
+  link.click()
+  link.remove()
+  // Revoking right away cancels the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(link.href), REVOKE_DELAY)
+}
@@ -0,0 +1,24 @@
+import { isArray, isObject, objectEntries } from 'js-common/js-utils'
+
+export function collectFiles(value, result = new Set()) {
+  if (value instanceof File)
+    result.add(value)
+  else if (isArray(value))
+    value.forEach(item => collectFiles(item, result))
+  else if (isObject(value) && !(value instanceof Blob) && !(value instanceof Date))
+    objectEntries(value).forEach(([_, item]) => collectFiles(item, result))
+  return [...result]
+}
+
+export function parseMessage(text) {
+  try {
+    return JSON.parse(text)
+  } catch (_) {
+    return text
+  }
+}
+
+export function getBackoffDelay(delay, maxDelay, attempt) {
+  const backoff = Math.min(Number(delay) * 2 ** attempt, Number(maxDelay))
+  return backoff / 2 + Math.random() * backoff / 2
+}
@@ -0,0 +1,44 @@
+import { isNotBlank, toArray, valueToString } from 'js-common/js-utils'
+
+export default class ResponseCache {
+
+  #entries
+
+  constructor() {
+    this.#entries = new Map()
+  }
+
+  key(method, url, input) {
+    return `${method} ${url} ${valueToString(input ?? {})}`
+  }
+
+  get(key, { ttl = 0, stale = 0 } = {}) {
+    const entry = this.#entries.get(key)
+    if (!entry)
+      return
+
+    const age = Date.now() - entry.time
+    if (age >= Number(ttl) + Number(stale)) {
+      this.#entries.delete(key)
+      return
+    }
+    return { value: entry.value, fresh: age < Number(ttl) }
+  }
+
+  set(key, url, value, { max = 0 } = {}) {
+    this.#entries.delete(key)
+    this.#entries.set(key, { url, value, time: Date.now() })
+    while (Number(max) > 0 && this.#entries.size > Number(max))
+      this.#entries.delete(this.#entries.keys().next().value)
+  }
+
+  invalidate(urls) {
+    const patterns = toArray(urls).filter(isNotBlank)
+    if (patterns.length === 0)
+      return this.#entries.clear()
+
+    this.#entries.forEach(({ url }, key) => {
+      patterns.some(pattern => url?.startsWith(pattern)) && this.#entries.delete(key)
+    })
+  }
+}
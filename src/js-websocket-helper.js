@@ -0,0 +1,122 @@
+import { valueToString, addBasePath, formatString } from 'js-common/js-utils'
+
+import { onDisconnect } from './js-dom-observer.js'
+import { parseMessage, getBackoffDelay } from './js-request-utils.js'
+
+const RECONNECT_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+const RECONNECT_ATTEMPTS = 5
+const CONNECT_TIMEOUT = 10000
+const CONNECTIONS = new WeakMap()
+
+let sequence = 0
+
+export default { send }
+
+function send(opts, input, requestParams) {
+  const { root, id, abort, basePath, handlePush } = opts
+  const url = new URL(addBasePath(formatString(requestParams.url, input), basePath), location.href)
+  url.protocol = url.protocol.replace('http', 'ws')
+
+  let connection = CONNECTIONS.get(root)
+  if (connection?.url !== url.href) {
+    connection?.close()
+    connection = createConnection(url.href, handlePush)
+    CONNECTIONS.set(root, connection)
+    onDisconnect(root, () => {
+      CONNECTIONS.get(root)?.close()
+      CONNECTIONS.delete(root)
+    })
+  }
+  return connection.send(id ?? `${++sequence}`, input, abort)
+}
+
+function createConnection(url, handlePush) {
+  const pending = new Map()
+  let socket
+  let attempt = 0
+  let closed = false
+  let timer
+
+  const fail = filter => pending.forEach((request, id) => {
+    if (filter(request)) {
+      pending.delete(id)
+      request.reject({ status: 0, message: '' })
+    }
+  })
+
+  const flush = () => pending.forEach(request => {
+    if (!request.sent && socket?.readyState === WebSocket.OPEN) {
+      socket.send(request.message)
+      request.sent = true
+    }
+  })
+
+  const connect = () => {
+    socket = new WebSocket(url)
+    socket.addEventListener('open', () => {
+      attempt = 0
+      flush()
+    })
+    socket.addEventListener('message', event => {
+      const message = parseMessage(event.data)
+      const request = pending.get(message?.id)
+      if (request) {
+        pending.delete(message.id)
+        request.resolve(message)
+      } else {
+        handlePush?.(message)
+      }
+    })
+    socket.addEventListener('close', () => {
+      fail(request => request.sent)
+      if (closed)
+        return
+      if (attempt >= RECONNECT_ATTEMPTS) {
+        fail(() => true)
+        socket = null
+        return
+      }
+      timer = setTimeout(connect, getBackoffDelay(RECONNECT_DELAY, RECONNECT_MAX_DELAY, attempt++))
+    })
+  }
+
+  connect()
+  return {
+    url,
+    send: (id, data, abort) => new Promise((resolve, reject) => {
+      const request = { message: valueToString({ id, data }), sent: false }
+      const timeout = setTimeout(() => {
+        if (pending.get(id) === request && !request.sent) {
+          pending.delete(id)
+          request.reject({ status: 0, message: '' })
+        }
+      }, CONNECT_TIMEOUT)
+      request.resolve = value => {
+        clearTimeout(timeout)
+        resolve(value)
+      }
+      request.reject = error => {
+        clearTimeout(timeout)
+        reject(error)
+      }
+      pending.set(id, request)
+      abort?.signal?.addEventListener('abort', () => {
+        pending.delete(id)
+        request.reject(new DOMException('Operation aborted', 'AbortError'))
+      }, { once: true })
+
+      if (!socket && !closed) {
+        attempt = 0
+        connect()
+      }
+      flush()
+    }),
+    close: () => {
+      closed = true
+      clearTimeout(timer)
+      socket?.close()
+      fail(() => true)
+    }
+  }
+}